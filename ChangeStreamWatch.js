@@ -0,0 +1,186 @@
+"use strict";
+
+/**
+ * Change stream on a collection of a schema that resumes where it left off. Changes are given to the handler in the batches
+ * the server returns them, and the resume token is saved after each handled batch, so changes are handled at least once.
+ * Made by `mongo.watch()`, which starts the watch again when the schema reconnects.
+ */
+class ChangeStreamWatch {
+
+    /**
+     * Constructor
+     * @param {MongoService} dbService
+     * @param {string} name - Unique name of the watch, which its resume token is saved under
+     * @param {string} schemaName - The schema whose connection to watch on
+     * @param {string} collectionName - The collection to watch
+     * @param {Array} pipeline - Aggregation pipeline to filter or transform the change events
+     * @param {function(changes:Array):Promise} handler - Handles a batch of change events
+     * @param {*} options - Change stream options, e.g. fullDocument
+     * @param {{collection:string, initialDelay:number, multiplier:number, maxDelay:number, jitter:number}} policy - The watch policy
+     */
+    constructor(dbService, name, schemaName, collectionName, pipeline, handler, options, policy) {
+
+        Object.defineProperty(this, 'dbs', {
+            enumerable: false,
+            value: dbService
+        });
+
+        this.name = name;
+        this.schema = schemaName;
+        this.collection = collectionName;
+        this.pipeline = pipeline || [];
+        this.handler = handler;
+        this.options = options || {};
+        this.policy = policy;
+
+        this.stream = null;
+        this.failures = 0;
+        this.closed = false;
+
+        /**
+         * Pending restart after a failure
+         * @type {*}
+         * @private
+         */
+        this._timer = null;
+
+        /**
+         * Token of the latest start, so only the latest start may open the stream
+         * @type {*}
+         * @private
+         */
+        this._starting = null;
+
+        /**
+         * Token of the latest failure, so a stop made while handling it cancels the restart
+         * @type {*}
+         * @private
+         */
+        this._restarting = null;
+    }
+
+    /**
+     * Opens the change stream, resuming from the saved token. Does nothing if the schema is not connected yet.
+     * @return {Promise} – Resolves once the stream starts, or fails to
+     */
+    async start() {
+        await this.stop();
+
+        if (this.closed || !this.dbs.isSchemaAvailable(this.schema)) return;
+
+        // Only the latest start may open the stream
+        const starting = this._starting = {};
+        let stream;
+        try {
+            const connection = this.dbs.getConnection(this.schema);
+            const saved = await this._getTokenCollection().findOne({ _id: this.name });
+            if (this.closed || this._starting !== starting) return;
+
+            const options = Object.assign({}, this.options, saved ? { resumeAfter: saved.token } : {});
+            stream = this.stream = connection.db.collection(this.collection).watch(this.pipeline, options);
+        } catch (err) /* istanbul ignore next: we're not responsible for db failures */ {
+            this._onError(null, err);
+            return;
+        }
+
+        // Wait for the server to start the stream, so changes made once started are not missed
+        await Promise.race([
+            new Promise((resolve) => stream.cursor.once('init', resolve)),
+            this._handleStream(stream)
+        ]);
+    }
+
+    /**
+     * Closes the change stream and cancels a pending restart. The watch can be started again.
+     * @return {Promise}
+     */
+    async stop() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._starting = null;
+        this._restarting = null;
+
+        const stream = this.stream;
+        this.stream = null;
+        if (stream) {
+            await stream.close().catch(/* istanbul ignore next: closing a dead stream is fine */ () => {});
+        }
+    }
+
+    /**
+     * Closes the change stream for good. The saved token is kept.
+     * @return {Promise}
+     */
+    async close() {
+        this.closed = true;
+        await this.stop();
+    }
+
+    /**
+     * Handles changes of the stream in batches, saving the resume token after each batch
+     * @param {ChangeStream} stream - The change stream
+     * @return {Promise} – Resolves when the stream stops or fails
+     * @private
+     */
+    async _handleStream(stream) {
+        try {
+            while (this.stream === stream) {
+                // Take what the server returned, without waiting on more
+                const changes = [await stream.next()];
+                while (stream.cursor && stream.cursor.bufferedCount() > 0) {
+                    changes.push(await stream.next());
+                }
+
+                // Stopped while waiting on changes
+                if (this.stream !== stream) return;
+
+                await this.handler(changes);
+                await this._getTokenCollection().updateOne(
+                    { _id: this.name },
+                    { $set: { token: stream.resumeToken, updatedAt: new Date() } },
+                    { upsert: true }
+                );
+                this.failures = 0;
+            }
+        } catch (err) {
+            this._onError(stream, err);
+        }
+    }
+
+    /**
+     * Reports a failure and restarts from the last saved token after a delay. If the schema lost its connection, the
+     * watch restarts when the schema reconnects instead.
+     * @param {ChangeStream} stream - The failed stream
+     * @param {Error} err - The error
+     * @private
+     */
+    _onError(stream, err) {
+        // Streams fail when closed on purpose
+        if (this.closed || this.stream !== stream) return;
+
+        this.failures++;
+        this.dbs.app.report('MongoService watch failed: ' + this.name, err, { schema: this.schema, collection: this.collection, failures: this.failures });
+
+        // Stopping or starting again while the stream closes, e.g. when the service closes, cancels the restart
+        const restarting = {};
+        this.stop().then(() => {
+            if (this.closed || this._restarting !== restarting || !this.dbs.isSchemaAvailable(this.schema)) return;
+            this._timer = setTimeout(() => {
+                this._timer = null;
+                this.start();
+            }, this.dbs.getBackoffDelay(this.policy, this.failures));
+        });
+        this._restarting = restarting;
+    }
+
+    /**
+     * Gets the collection that stores the resume tokens of the schema's watches
+     * @return {Collection}
+     * @private
+     */
+    _getTokenCollection() {
+        return this.dbs.getConnection(this.schema).db.collection(this.policy.collection);
+    }
+}
+
+module.exports = ChangeStreamWatch;
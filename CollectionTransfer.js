@@ -0,0 +1,251 @@
+"use strict";
+
+const Readline = require('readline');
+const { EJSON } = require('bson');
+
+/**
+ * Streams the documents of a collection out to, and back in from, one JSON document per line.
+ * Used by `mongo.exportCollection()` and `mongo.importCollection()`.
+ */
+class CollectionTransfer {
+
+    /**
+     * Constructor
+     * @param {MongoService} dbService
+     * @param {string} schemaName - The schema the collection belongs to
+     * @param {Collection} collection - The collection to transfer
+     */
+    constructor(dbService, schemaName, collection) {
+
+        Object.defineProperty(this, 'dbs', {
+            enumerable: false,
+            value: dbService
+        });
+
+        this.schema = schemaName;
+        this.collection = collection;
+    }
+
+    /**
+     * Streams the documents of the collection to the given stream. An `export_progress` event is emitted after each batch is written.
+     * @param {*} [criteria] - Query of the documents to export. Defaults to all documents
+     * @param {Writable} writable - Stream to write to
+     * @param {{[format]:string, [batchSize]:number, [projection]:*, [sort]:*, [end]:boolean}} [options] - Export options. The stream is ended when done, unless `end` is false
+     * @return {Promise<{schema:string, collection:string, exported:number}>} – Resolves with the totals once written
+     */
+    async export(criteria, writable, options) {
+        const {
+            format = CollectionTransfer.defaultOptions.format,
+            batchSize = CollectionTransfer.defaultOptions.batchSize,
+            projection,
+            sort,
+            end = true
+        } = options || {};
+        const stringify = CollectionTransfer._getFormat(format).stringify;
+
+        const progress = { schema: this.schema, collection: this.collection.collectionName, exported: 0 };
+        let lines = [];
+        const flush = async () => {
+            await Promise.race([CollectionTransfer._writeToStream(writable, lines.join('')), failure.promise]);
+            progress.exported += lines.length;
+            lines = [];
+            this.dbs.emit('export_progress', Object.assign({}, progress));
+        };
+
+        // Fail the export when the stream fails, instead of leaving its error unhandled
+        const failure = CollectionTransfer._listenForError(writable);
+        const cursor = this.collection.find(criteria || {}, { batchSize, projection, sort });
+        try {
+            for await (const doc of cursor) {
+                lines.push(stringify(doc) + '\n');
+                if (lines.length >= batchSize) await flush();
+            }
+            if (lines.length > 0) await flush();
+
+            if (end) {
+                await Promise.race([new Promise((resolve, reject) => writable.end((err) => err ? reject(err) : resolve())), failure.promise]);
+            }
+            if (failure.error) throw failure.error;
+        } finally {
+            failure.stop();
+            await cursor.close();
+        }
+
+        return progress;
+    }
+
+    /**
+     * Writes the documents read from the given stream to the collection, in batches. An `import_progress` event is emitted after each batch.
+     * @param {Readable} readable - Stream to read from
+     * @param {{[format]:string, [batchSize]:number, [mode]:string}} [options] - Import options
+     * @return {Promise<{schema:string, collection:string, read:number, inserted:number, updated:number, skipped:number}>} – Resolves with the totals once written
+     */
+    async import(readable, options) {
+        const {
+            format = CollectionTransfer.defaultOptions.format,
+            batchSize = CollectionTransfer.defaultOptions.batchSize,
+            mode = CollectionTransfer.importModes.insert
+        } = options || {};
+        const parse = CollectionTransfer._getFormat(format).parse;
+        if (!Object.values(CollectionTransfer.importModes).includes(mode)) {
+            throw new Error('MongoService import mode is not valid: ' + mode);
+        }
+
+        const progress = { schema: this.schema, collection: this.collection.collectionName, read: 0, inserted: 0, updated: 0, skipped: 0 };
+        let docs = [];
+        const flush = async () => {
+            await this._importBatch(docs, mode, progress);
+            docs = [];
+            this.dbs.emit('import_progress', Object.assign({}, progress));
+        };
+
+        const lines = Readline.createInterface({ input: readable, crlfDelay: Infinity });
+        let lineNumber = 0;
+        for await (const line of lines) {
+            lineNumber++;
+            if (!line.trim()) continue;
+
+            try {
+                docs.push(parse(line));
+            } catch (err) {
+                throw new Error('MongoService import failed to parse line ' + lineNumber + ': ' + err.message);
+            }
+            progress.read++;
+            if (docs.length >= batchSize) await flush();
+        }
+        if (docs.length > 0) await flush();
+
+        return progress;
+    }
+
+    /**
+     * Writes a batch of imported documents, adding the outcome to the import totals
+     * @param {Array} docs - The documents
+     * @param {string} mode - The import mode
+     * @param {{inserted:number, updated:number, skipped:number}} progress - The import totals
+     * @return {Promise<void>}
+     * @private
+     */
+    async _importBatch(docs, mode, progress) {
+        const operations = docs.map((doc) => {
+            if (mode === CollectionTransfer.importModes.upsert && doc._id !== undefined) {
+                return { replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } };
+            }
+            return { insertOne: { document: doc } };
+        });
+
+        let result;
+        try {
+            // Keep going past existing documents when skipping them
+            result = await this.collection.bulkWrite(operations, { ordered: mode !== CollectionTransfer.importModes.skip });
+        } catch (err) {
+            const writeErrors = [].concat(err.writeErrors || []);
+            if (mode !== CollectionTransfer.importModes.skip || writeErrors.length === 0 || writeErrors.some((writeError) => writeError.code !== CollectionTransfer._collisionErrorCode)) {
+                throw err;
+            }
+            result = err.result;
+            progress.skipped += writeErrors.length;
+        }
+
+        progress.inserted += result.insertedCount + result.upsertedCount;
+        progress.updated += result.matchedCount;
+    }
+
+    /**
+     * Gets the functions that convert documents to and from a line of the given format
+     * @param {string} format - `ejson` or `ndjson`
+     * @return {{stringify:function(doc:*):string, parse:function(line:string):*}}
+     * @private
+     */
+    static _getFormat(format) {
+        switch (format) {
+            case CollectionTransfer.formats.ejson:
+                return {
+                    stringify: (doc) => EJSON.stringify(doc, { relaxed: false }),
+                    parse: (line) => EJSON.parse(line, { relaxed: false })
+                };
+            case CollectionTransfer.formats.ndjson:
+                return {
+                    stringify: (doc) => JSON.stringify(doc),
+                    parse: (line) => JSON.parse(line)
+                };
+            default:
+                throw new Error('MongoService transfer format is not valid: ' + format);
+        }
+    }
+
+    /**
+     * Listens for a stream to fail, until stopped
+     * @param {Stream} stream - The stream
+     * @return {{promise:Promise, error:Error|null, stop:function()}} – The promise rejects with the first error of the stream
+     * @private
+     */
+    static _listenForError(stream) {
+        const failure = { error: null };
+        let onError;
+        failure.promise = new Promise((resolve, reject) => {
+            onError = (err) => {
+                failure.error = failure.error || err;
+                reject(failure.error);
+            };
+            stream.on('error', onError);
+        });
+        failure.promise.catch(() => {}); // Only rejects whoever waits on it
+        failure.stop = () => stream.removeListener('error', onError);
+        return failure;
+    }
+
+    /**
+     * Writes to a stream, waiting until the stream has handled it
+     * @param {Writable} writable - The stream
+     * @param {string} chunk - What to write
+     * @return {Promise<void>}
+     * @private
+     */
+    static _writeToStream(writable, chunk) {
+        return new Promise((resolve, reject) => {
+            writable.write(chunk, (err) => err ? reject(err) : resolve());
+        });
+    }
+}
+
+/**
+ * Line formats of exported and imported collections
+ * @type {{ejson: string, ndjson: string}}
+ * @static
+ */
+CollectionTransfer.formats = {
+    ejson: 'ejson',
+    ndjson: 'ndjson'
+};
+
+/**
+ * How imported documents that already exist are handled
+ * @type {{insert: string, upsert: string, skip: string}}
+ * @static
+ */
+CollectionTransfer.importModes = {
+    insert: 'insert',
+    upsert: 'upsert',
+    skip: 'skip'
+};
+
+/**
+ * Default export and import options
+ * @type {{format: string, batchSize: number}}
+ * @static
+ */
+CollectionTransfer.defaultOptions = {
+    format: CollectionTransfer.formats.ejson,
+    batchSize: 1000
+};
+
+/**
+ * Mongo collision error code
+ * @type {number}
+ * @static
+ * @private
+ */
+CollectionTransfer._collisionErrorCode = 11000;
+
+module.exports = CollectionTransfer;
@@ -1,5 +1,8 @@
 "use strict";
 
+const BSON = require('bson');
+const MongoService = require('./MongoService');
+
 /**
  * Base service that all object CRUD services should inherit
  */
@@ -59,26 +62,87 @@ class CrudService {
          * @private
          */
         this._concealDeadResources = true;
+
+        /**
+         * Cache store for _retrieve, e.g. `new LruCache()`. Caching is disabled when not set.
+         * @type {{get:function(key:string):*, set:function(key:string, value:*), delete:function(key:string)}|null}
+         * @protected
+         */
+        this._cache = null;
+
+        /**
+         * Cache hit and miss counters of _retrieve
+         * @type {{hits:number, misses:number}}
+         * @protected
+         */
+        this._cacheStats = { hits: 0, misses: 0 };
+
+        /**
+         * Query guard results of each query shape, when the query guard is enabled
+         * @type {Map<string, Promise<Error|null>>}
+         * @private
+         */
+        this._guardedQueries = new Map();
+    }
+
+    /**
+     * Gets a copy of this service that operates on the given tenant's database
+     * @param {string|number} tenantId - The tenant identifier
+     * @return {CrudService}
+     * @protected
+     */
+    _forTenant(tenantId) {
+        const service = Object.create(this);
+        service.model = this.dbs.getTenantModel(this.model, tenantId);
+        return service;
+    }
+
+    /**
+     * Reports the operation to the db service once it completes, so it can be logged when slow
+     * @param {string} method - The name of the method running the operation
+     * @param {*} query - The query or document given to the operation
+     * @param {Promise} promise - The pending operation
+     * @return {Promise} – The given promise
+     * @private
+     */
+    _trackOperation(method, query, promise) {
+        if (!this.dbs) return promise;
+
+        const start = Date.now();
+        const done = () => this.dbs.reportSlowOperation(this.model, method, query, Date.now() - start);
+        promise.then(done, done);
+        return promise;
     }
 
     /**
      * Creates a new model
      * @param {*} data – Model properties
+     * @param {{[session]:ClientSession}} [options] - Save options
      * @param {function(err:Error, obj:Model?)} [callback] – Fired when saved or failed to save
      * @param {boolean} [suppressCollisionError] - Option to suppress error reporting on collisions (for quiet retry handling)
      * @protected
      */
-    _create(data, callback, suppressCollisionError) {
+    _create(data, options, callback, suppressCollisionError) {
+
+        // Allow overloading by skipping options
+        if (typeof options === "function" || typeof options === "boolean") {
+            suppressCollisionError = callback;
+            callback = options;
+            options = {};
+        } else {
+            // Default options
+            options = options || {};
+        }
 
         if (typeof callback === "boolean") {
             suppressCollisionError = callback;
             callback = null;
         }
 
-        return new Promise((resolve, reject) => {
+        return this._trackOperation('_create', data, new Promise((resolve, reject) => {
             const doc = new this.model(data);
 
-            doc.save((err, savedObj) => {
+            doc.save(CrudService._getSessionOptions(options), (err, savedObj) => {
                 if (err) {
                     if (!suppressCollisionError || err.code !== CrudService._collisionErrorCode) {
                         this.app.report('Failed to create new model: ' + this.model.modelName, err, data);
@@ -90,17 +154,28 @@ class CrudService {
                     return resolve(savedObj);
                 }
             });
-        });
+        }));
     }
 
     /**
      * Creates a new model but calls the objectClosure function before each save attempt
      * @param {*} data – Model properties
      * @param {function(data:*,attempt:Number)} objectClosure - Called to obtain the object model properties before save
+     * @param {{[session]:ClientSession}} [options] - Save options
      * @param {function(err:Error, obj:Model?)} [callback] – Fired when saved or failed to save
      * @protected
      */
-    _createWithRetry(data, objectClosure, callback) {
+    _createWithRetry(data, objectClosure, options, callback) {
+
+        // Allow overloading by skipping options
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        } else {
+            // Default options
+            options = options || {};
+        }
+
         // eslint-disable-next-line no-async-promise-executor
         return new Promise(async (resolve, reject) => {
 
@@ -109,7 +184,7 @@ class CrudService {
 
             for (attempt = 0; attempt < this._createRetryCount; attempt++) {
                 try {
-                    doc = await this._create(await objectClosure(data, attempt), true);
+                    doc = await this._create(await objectClosure(data, attempt), options, true);
                 } catch (err) {
                     /* istanbul ignore else: out of scope */
                     if (err.code === CrudService._collisionErrorCode) {
@@ -139,37 +214,174 @@ class CrudService {
         });
     }
 
+    /**
+     * Gets the model to query, given where to read from
+     * @param {string} [readFrom] - Either `primary` (default) or `secondary`
+     * @return {Mongoose#Model}
+     * @protected
+     */
+    _getReadModel(readFrom) {
+        if (readFrom === undefined || readFrom === CrudService.readFrom.primary) {
+            return this.model;
+        } else if (readFrom === CrudService.readFrom.secondary) {
+            return this.dbs.getReadModel(this.model);
+        } else {
+            throw new Error('Unknown readFrom option given: ' + readFrom);
+        }
+    }
+
+    /**
+     * Checks whether a _retrieve call may use the cache. Reads in a session skip it, since they may see uncommitted changes.
+     * @param {{[cache]:boolean, [session]:ClientSession}} options - Query options
+     * @return {boolean}
+     * @private
+     */
+    _isCacheable(options) {
+        return !!this._cache && options.cache !== false && options.session === undefined;
+    }
+
+    /**
+     * Gets the cache key of a doc. Services of tenants and other collections may share the cache store.
+     * @param {ObjectId} objectId - The doc id
+     * @return {string}
+     * @protected
+     */
+    _getCacheKey(objectId) {
+        return this.model.db.name + '.' + this.model.collection.collectionName + ':' + this.dbs.getObjectId(objectId).toHexString();
+    }
+
+    /**
+     * Gets a doc from the cache, counting the hit or miss. The doc is hydrated from a copy of the cached data, since
+     * in-process stores hand out the same object on every hit and hydrate keeps references to dates and mixed paths.
+     * @param {ObjectId} objectId - The doc id
+     * @return {Promise<Model|null>} – The doc, or null if not cached or the cache failed
+     * @private
+     */
+    async _getCachedDoc(objectId) {
+        let data;
+        try {
+            data = await this._cache.get(this._getCacheKey(objectId));
+        } catch (err) {
+            // Fall back to the database
+            this.app.report('Failed to get cached model: ' + this.model.modelName, err, objectId);
+        }
+
+        if (data) {
+            this._cacheStats.hits++;
+            return this.model.hydrate(BSON.deserialize(BSON.serialize(data)));
+        }
+
+        this._cacheStats.misses++;
+        return null;
+    }
+
+    /**
+     * Stores a copy of a doc in the cache, so later changes to the doc don't leak into it
+     * @param {ObjectId} objectId - The doc id
+     * @param {Model} doc - The doc
+     * @return {Promise}
+     * @private
+     */
+    async _setCachedDoc(objectId, doc) {
+        try {
+            await this._cache.set(this._getCacheKey(objectId), doc.toObject());
+        } catch (err) {
+            this.app.report('Failed to cache model: ' + this.model.modelName, err, objectId);
+        }
+    }
+
+    /**
+     * Removes a doc from the cache, if enabled, so the next _retrieve gets it from the database
+     * @param {ObjectId} objectId - The doc id
+     * @return {Promise} – Never rejects
+     * @protected
+     */
+    async _invalidateCachedDoc(objectId) {
+        if (!this._cache) return;
+        try {
+            await this._cache.delete(this._getCacheKey(objectId));
+        } catch (err) {
+            this.app.report('Failed to invalidate cached model: ' + this.model.modelName, err, objectId);
+        }
+    }
+
+    /**
+     * Removes a written doc from the cache, if enabled. Writes in a transaction are not visible until committed, so a
+     * _retrieve in between could cache the old doc again. Those docs are removed again when the session ends.
+     * @param {Model} doc - The written doc
+     * @param {{[session]:ClientSession}} options - Write options
+     * @return {Promise} – Never rejects
+     * @private
+     */
+    _invalidateWrittenDoc(doc, options) {
+        const session = options.session || (typeof doc.$session === "function" ? doc.$session() : null);
+        if (this._cache && session && session.inTransaction()) {
+            session.once('ended', () => this._invalidateCachedDoc(doc._id));
+        }
+        return this._invalidateCachedDoc(doc._id);
+    }
+
     /**
      * Retrieves a model given an identifier.
      *
      * WARNING: this _can_ retrieve dead statuses
      *
      * @param {ObjectId|string} id - ObjectId or convertible identifier
+     * @param {{[readFrom]:string, [session]:ClientSession, [cache]:boolean}} [options] - Query options
      * @param {function(err:Error, doc:Model)} [callback] – Fired when completed
      * @protected
      */
-    _retrieve(id, callback) {
-        return new Promise((resolve, reject) => {
+    _retrieve(id, options, callback) {
+
+        // Allow overloading by skipping options
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        } else {
+            // Default options
+            options = options || {};
+        }
+
+        return this._trackOperation('_retrieve', { _id: id }, new Promise((resolve, reject) => {
             // Only do a query if there's something to query for
             const objectId = this.dbs.getObjectId(id);
             const criteria = {_id: objectId};
 
             if (objectId) {
 
-                // If conceal mode is activated, prevent dead resources from returning
-                if (this._concealDeadResources) criteria.status = { $ne: this._deletedStatus };
+                // Serve hot docs from the cache, if enabled
+                const useCache = this._isCacheable(options);
+                (useCache ? this._getCachedDoc(objectId) : Promise.resolve(null)).then((cached) => {
+                    if (cached) {
+                        if (callback) return callback(null, cached);
+                        return resolve(cached);
+                    }
 
-                // Do the query - with next to no customization abilities
-                this.model.findOne(criteria).exec((err, doc) => {
-                    /* istanbul ignore if: this should be next to impossible to trigger */
-                    if (err) {
-                        this.app.report('Failed to retrieve model: '+this.model.modelName, err, id, objectId);
+                    // If conceal mode is activated, prevent dead resources from returning
+                    if (this._concealDeadResources) criteria.status = { $ne: this._deletedStatus };
+
+                    // Do the query - with next to no customization abilities
+                    let query;
+                    try {
+                        query = this._getReadModel(options.readFrom).findOne(criteria);
+                    } catch (err) {
                         if (callback) return callback(err, null);
                         return reject(err);
-                    } else {
-                        if (callback) return callback(null, doc);
-                        return resolve(doc);
                     }
+                    if (options.session !== undefined) query.session(options.session);
+
+                    query.exec((err, doc) => {
+                        /* istanbul ignore if: this should be next to impossible to trigger */
+                        if (err) {
+                            this.app.report('Failed to retrieve model: '+this.model.modelName, err, id, objectId);
+                            if (callback) return callback(err, null);
+                            return reject(err);
+                        } else {
+                            if (doc && useCache) this._setCachedDoc(objectId, doc);
+                            if (callback) return callback(null, doc);
+                            return resolve(doc);
+                        }
+                    });
                 });
 
             } else {
@@ -177,7 +389,7 @@ class CrudService {
                 if (callback) return callback(null, null);
                 return resolve(null);
             }
-        });
+        }));
     }
 
     /**
@@ -190,7 +402,8 @@ class CrudService {
     _buildQuery(criteria, options) {
 
         // Strip options out so we can stick them into the query builder
-        const { skip, take, fields, sort, conceal = true, ...opts } = (options || {});
+        // eslint-disable-next-line no-unused-vars
+        const { skip, take, fields, sort, conceal = true, readFrom, explain, session, ...opts } = (options || {});
 
         // Actively prevent dead resources from returning, even if a status was given
         if (this._concealDeadResources && conceal) {
@@ -237,22 +450,148 @@ class CrudService {
         }
 
         // Build the query
-        const query = this.model.find(criteria);
+        const query = this._getReadModel(readFrom).find(criteria);
 
         // Add query options to the builder if present
         if (skip !== undefined) { query.skip(skip); }
         if (take !== undefined) { query.limit(take); }
         if (fields !== undefined) { query.select(fields); }
         if (sort !== undefined) { query.sort(sort); }
+        if (session !== undefined) { query.session(session); }
         if (Object.keys(opts).length > 0) { query.setOptions(opts); }
 
         return query;
     }
 
+    /**
+     * Gets a summary of the winning plan of the given query, without running it
+     * @param {Query} query - The query to explain
+     * @return {Promise<{namespace:string, stages:string[], indexes:string[], collectionScan:boolean}>}
+     * @protected
+     */
+    async _explainQuery(query) {
+        // Mongoose explains by executing all plans, so ask the driver for just the query planner's pick
+        const collection = query.model.collection.collection;
+        if (!collection) {
+            throw new Error('CrudService cannot explain queries before the connection is open');
+        }
+
+        // Cast a copy of the filter like exec does, so the plan is the one the query runs with
+        const filter = query.clone().cast(query.model);
+        const options = Object.assign({}, query.getOptions(), { projection: query.projection() });
+        const explanation = await collection.find(filter, options).explain('queryPlanner');
+        return CrudService._getPlanSummary(explanation);
+    }
+
+    /**
+     * Checks that the given query does not scan a large collection, when the query guard is enabled.
+     * Each query shape is only explained once, unless the check fails.
+     * @param {Query} query - The query to check
+     * @param {string} method - The name of the method running the query
+     * @return {Promise} – Rejects if the query scans the collection and the guard is configured to throw
+     * @private
+     */
+    _guardQuery(query, method) {
+        const config = this.dbs && this.dbs.config.queryGuard;
+        if (!config) return Promise.resolve();
+
+        const guard = Object.assign({}, CrudService.defaultQueryGuard, typeof config === "object" ? config : {});
+        const sort = query.getOptions().sort;
+        const shape = MongoService.getQueryShape(sort ? { filter: query.getFilter(), sort } : { filter: query.getFilter() });
+        const key = query.model.collection.collectionName + ':' + JSON.stringify(shape);
+
+        if (!this._guardedQueries.has(key)) {
+            this._guardedQueries.set(key, this._checkQueryPlan(query, method, shape, guard).catch((err) => {
+                // Don't hold up the query, if the check fails, the query probably will too. Check the shape again next time.
+                this._guardedQueries.delete(key);
+                this.app.report('Failed to check query plan: ' + this.model.modelName, err, { model: this.model.modelName, method, collection: query.model.collection.collectionName, shape });
+                return null;
+            }));
+        }
+
+        return this._guardedQueries.get(key).then((err) => {
+            if (err) throw err;
+        });
+    }
+
+    /**
+     * Explains the query and reports it if it scans a collection with at least the guard's minimum documents
+     * @param {Query} query - The query to check
+     * @param {string} method - The name of the method running the query
+     * @param {*} shape - The query shape
+     * @param {{minDocuments:number, throw:boolean}} guard - Query guard options
+     * @return {Promise<Error|null>} – The error to throw when the query is not allowed. Rejects if the plan can't be checked
+     * @private
+     */
+    async _checkQueryPlan(query, method, shape, guard) {
+        const details = {
+            model: this.model.modelName,
+            method,
+            collection: query.model.collection.collectionName,
+            shape
+        };
+
+        const plan = await this._explainQuery(query);
+        if (!plan.collectionScan) return null;
+        details.documents = await query.model.estimatedDocumentCount();
+
+        if (details.documents < guard.minDocuments) return null;
+
+        const caller = this.model.modelName + '.' + method;
+        if (guard.throw) {
+            return new Error('CrudService query does a collection scan: ' + caller + ' ' + JSON.stringify(shape));
+        }
+
+        this.app.report('Query does a collection scan: ' + caller, details);
+        return null;
+    }
+
+    /**
+     * Gets the options to give document save and remove calls
+     * @param {{[session]:ClientSession}} options - Method options
+     * @return {{session:ClientSession}|undefined} – Nothing when no session was given, so documents keep the session they were found with
+     * @private
+     */
+    static _getSessionOptions(options) {
+        return options.session !== undefined ? { session: options.session } : undefined;
+    }
+
+    /**
+     * Summarizes the winning plan of a query explanation
+     * @param {*} explanation - Explain command result
+     * @return {{namespace:string, stages:string[], indexes:string[], collectionScan:boolean}}
+     * @private
+     */
+    static _getPlanSummary(explanation) {
+        const planner = explanation.queryPlanner || {};
+        const stages = [];
+        const indexes = [];
+
+        const walk = (plan) => {
+            if (!plan) return;
+            if (plan.stage) stages.push(plan.stage);
+            if (plan.indexName && indexes.indexOf(plan.indexName) < 0) indexes.push(plan.indexName);
+
+            // Newer servers nest the plan, sharded clusters have a plan per shard
+            walk(plan.queryPlan);
+            walk(plan.inputStage);
+            (plan.inputStages || []).forEach(walk);
+            (plan.shards || []).forEach((shard) => walk(shard.winningPlan));
+        };
+        walk(planner.winningPlan);
+
+        return {
+            namespace: planner.namespace,
+            stages,
+            indexes,
+            collectionScan: stages.indexOf('COLLSCAN') >= 0
+        };
+    }
+
     /**
      * Retrieves one or more models that match the given criteria
      * @param {*} criteria - Filter criteria
-     * @param {{[skip]:number, [take]:number, [fields]:string|*, [sort]:*, [exec]:boolean}} [options] - Query options
+     * @param {{[skip]:number, [take]:number, [fields]:string|*, [sort]:*, [readFrom]:string, [session]:ClientSession}} [options] - Query options
      * @param {function(err:Error, docs:[Model])} [callback] – Fired when completed
      * @return {Promise}
      * @protected
@@ -268,26 +607,36 @@ class CrudService {
             options = options || {};
         }
 
-        return new Promise((resolve, reject) => {
-            const query = this._buildQuery(criteria, options);
-            query.exec((err, docs) => {
-                if (err) {
-                    this.app.report('Failed to find models: '+this.model.modelName, err, query.getQuery());
-                    if (callback) return callback(err);
-                    return reject(err);
-                } else {
-                    docs = docs /* istanbul ignore next: out of scope */ || [];
-                    if (callback) return callback(null, docs);
-                    return resolve(docs);
-                }
+        return this._trackOperation('_find', criteria, new Promise((resolve, reject) => {
+            let query;
+            try {
+                query = this._buildQuery(criteria, options);
+            } catch (err) {
+                if (callback) return callback(err);
+                return reject(err);
+            }
+
+            // Get the query plan instead of the docs if asked to
+            const exec = options.explain ?
+                this._explainQuery(query) :
+                this._guardQuery(query, '_find').then(() => query.exec());
+
+            exec.then((docs) => {
+                docs = docs /* istanbul ignore next: out of scope */ || [];
+                if (callback) return callback(null, docs);
+                return resolve(docs);
+            }, (err) => {
+                this.app.report('Failed to find models: '+this.model.modelName, err, query.getQuery());
+                if (callback) return callback(err);
+                return reject(err);
             });
-        });
+        }));
     }
 
     /**
      * Performs a find-based query but is optimized to only return the count of matching records, not the records themselves
      * @param {*} criteria - Filter criteria
-     * @param {{[skip]:number, [take]:number, [fields]:string|*, [sort]:*, [exec]:boolean}} [options] - Query options
+     * @param {{[skip]:number, [take]:number, [fields]:string|*, [sort]:*, [readFrom]:string, [session]:ClientSession}} [options] - Query options
      * @param {function(err:Error, docs:[Model]?)} [callback] – Fired when completed
      * @return {Promise}
      * @protected
@@ -305,22 +654,26 @@ class CrudService {
         }
 
         // eslint-disable-next-line no-async-promise-executor
-        return new Promise(async (resolve, reject) => {
-
-            // Exec the count query
-            const query = this._buildQuery(criteria, options);
+        return this._trackOperation('_count', criteria, new Promise(async (resolve, reject) => {
 
             let count;
             try {
-                count = await query.countDocuments();
-            } catch (err) /* istanbul ignore next: out of scope */ {
+                // Exec the count query, or get its plan if asked to
+                const query = this._buildQuery(criteria, options);
+                if (options.explain) {
+                    count = await this._explainQuery(query);
+                } else {
+                    await this._guardQuery(query, '_count');
+                    count = await query.countDocuments();
+                }
+            } catch (err) {
                 if (callback) return callback(err);
                 return reject(err);
             }
 
             if (callback) return callback(null, count);
             return resolve(count);
-        });
+        }));
     }
 
     /**
@@ -345,72 +698,146 @@ class CrudService {
      * Update an existing model
      * @param {*|Model} doc - Model to update
      * @param {*} [data] - Data to apply to the model before saving
+     * @param {{[session]:ClientSession}} [options] - Save options
      * @param {function(err:Error, obj:Model?)} [callback] – Fired when saved or failed to save
      * @return {Promise}
      * @protected
      */
-    _update(doc, data, callback) {
+    _update(doc, data, options, callback) {
 
         // Allow overloading of _update(obj, callback)
         if (typeof data === "function") {
             callback = data;
             data = null;
+            options = {};
+        } else if (typeof options === "function") {
+            callback = options;
+            options = {};
+        } else {
+            // Default options
+            options = options || {};
         }
 
-        return new Promise((resolve, reject) => {
+        return this._trackOperation('_update', { _id: doc._id }, new Promise((resolve, reject) => {
 
             // Apply any given key updates, if given
             this._applyUpdates(doc, data);
 
             // Ensure when you update an object, no matter what it is, we update our auditing field
             doc.updated = new Date();
-            doc.save((err, updatedObj) => {
+            doc.save(CrudService._getSessionOptions(options), (err, updatedObj) => {
                 if (err) {
                     this.app.report('Failed to update model: '+this.model.modelName, err, doc);
                     if (callback) return callback(err);
                     return reject(err);
                 } else {
-                    if (callback) return callback(null, updatedObj);
-                    return resolve(updatedObj);
+                    this._invalidateWrittenDoc(doc, options).then(() => {
+                        if (callback) return callback(null, updatedObj);
+                        return resolve(updatedObj);
+                    });
                 }
             });
-        });
+        }));
     }
 
     /**
      * Fake-deletes a model from the database by changing its status to dead and updating the model
      * @param {*|Model} doc - Model to update
+     * @param {{[session]:ClientSession}} [options] - Save options
      * @param {function(err:Error, obj:Model)} [callback] – Fired when saved or failed to save
      * @return {Promise}
      * @protected
      */
-    _delete(doc, callback) {
+    _delete(doc, options, callback) {
+
+        // Allow overloading by skipping options
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        }
+
         doc.status = this._deletedStatus;
-        return this._update(doc, callback);
+        return this._update(doc, null, options, callback);
     }
 
     /**
      * Permanently removes a document from the collection
      * @param {Model} doc - Model to delete
+     * @param {{[session]:ClientSession}} [options] - Remove options
      * @param {function(err:Error, obj:Model)} [callback] - Fired when deleted or failed to delete
      * @return {Promise}
      * @protected
      */
-    _deletePermanently(doc, callback) {
-        return new Promise((resolve, reject) => {
-            doc.remove((err, deletedDoc) => {
+    _deletePermanently(doc, options, callback) {
+
+        // Allow overloading by skipping options
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        } else {
+            // Default options
+            options = options || {};
+        }
+
+        return this._trackOperation('_deletePermanently', { _id: doc._id }, new Promise((resolve, reject) => {
+            doc.remove(CrudService._getSessionOptions(options), (err, deletedDoc) => {
                 /* istanbul ignore if: we're not responsible for db failures */
                 if (err) {
                     this.app.report('Failed to permanently remove model: '+this.model.modelName, err, doc);
                     if (callback) return callback(err);
                     return reject(err);
                 } else {
-                    if (callback) return callback(null, deletedDoc);
-                    return resolve(deletedDoc);
+                    this._invalidateWrittenDoc(doc, options).then(() => {
+                        if (callback) return callback(null, deletedDoc);
+                        return resolve(deletedDoc);
+                    });
                 }
             });
-        });
+        }));
+
+    }
+
+    /**
+     * Subscribes to changes of this service's model, using a MongoService change stream. Change streams require a replica set.
+     * Changes are handled in order and at least once. Handlers get the model as it was after the change (or null if it no longer exists) and the change event.
+     * @param {{[create]:function(doc:Model, change:*):Promise, [update]:function(doc:Model, change:*):Promise, [delete]:function(doc:Model, change:*):Promise}} handlers - Handlers of each event
+     * @param {*} [options] - MongoService watch options, e.g. name
+     * @return {Promise<{name:string, close:function():Promise}>} – The subscription
+     * @protected
+     */
+    _subscribe(handlers, options) {
+        const schemaName = this.dbs.getSchemaNameOfModel(this.model);
+        if (!schemaName) {
+            return Promise.reject(new Error('CrudService model does not belong to a connected schema: ' + this.model.modelName));
+        }
+
+        const pipeline = [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }];
+        return this.dbs.watch(schemaName, this.model.modelName, pipeline, async (changes) => {
+            for (const change of changes) {
+                const event = this._getChangeEvent(change);
+                if (handlers[event]) {
+                    await handlers[event](change.fullDocument ? this.model.hydrate(change.fullDocument) : null, change);
+                }
+            }
+        }, Object.assign({ fullDocument: 'updateLookup' }, options));
+    }
+
+    /**
+     * Gets the CrudService event of a change stream event. Setting the status to the deleted status is a delete.
+     * @param {*} change - Change stream event
+     * @return {string} – One of CrudService.changeEvents
+     * @protected
+     */
+    _getChangeEvent(change) {
+        if (change.operationType === 'insert') {
+            return CrudService.changeEvents.create;
+        }
 
+        const status = change.operationType === 'update' ?
+            (change.updateDescription.updatedFields || {}).status :
+            (change.fullDocument || {}).status;
+
+        return status === this._deletedStatus ? CrudService.changeEvents.delete : CrudService.changeEvents.update;
     }
 }
 
@@ -422,4 +849,35 @@ class CrudService {
  */
 CrudService._collisionErrorCode = 11000;
 
+/**
+ * Default query guard options. The guard is enabled using the MongoService `queryGuard` config, typically only in development.
+ * @type {{minDocuments:number, throw:boolean}}
+ * @static
+ */
+CrudService.defaultQueryGuard = {
+    minDocuments: 1000,
+    throw: false
+};
+
+/**
+ * Events given to _subscribe handlers
+ * @type {{create: string, update: string, delete: string}}
+ * @static
+ */
+CrudService.changeEvents = {
+    create: 'create',
+    update: 'update',
+    delete: 'delete'
+};
+
+/**
+ * Where queries can read from
+ * @type {{primary: string, secondary: string}}
+ * @static
+ */
+CrudService.readFrom = {
+    primary: 'primary',
+    secondary: 'secondary'
+};
+
 module.exports = CrudService;
@@ -0,0 +1,190 @@
+"use strict";
+
+const Mongoose = require('mongoose');
+const ObjectId = Mongoose.Types.ObjectId;
+
+/**
+ * GridFS bucket on a schema connection, for storing files that are too large for a document.
+ * Get one with `mongo.getBucket(schemaName, [bucketName])`. Files can be given by ObjectId, hex string or public id.
+ */
+class FileBucket {
+
+    /**
+     * Constructor
+     * @param {MongoService} dbService
+     * @param {string} schemaName - The schema whose connection stores the files
+     * @param {string} [bucketName] - The bucket name, which prefixes its collections. Defaults to `fs`
+     * @param {*} [options] - GridFS bucket options, e.g. chunkSizeBytes
+     * @param {string} [options.prefix] - Public id prefix of the files. Defaults to the bucket name
+     */
+    constructor(dbService, schemaName, bucketName, options) {
+
+        Object.defineProperty(this, 'dbs', {
+            enumerable: false,
+            value: dbService
+        });
+
+        const { prefix, ...bucketOptions } = options || {};
+
+        this.schema = schemaName;
+        this.name = bucketName || FileBucket.defaultBucketName;
+        this.prefix = prefix || this.name;
+        this.options = bucketOptions;
+
+        /**
+         * GridFS bucket of the current connection. The driver database changes when the schema reconnects.
+         * @type {{db:Db, bucket:GridFSBucket}|null}
+         * @private
+         */
+        this._bucket = null;
+    }
+
+    /**
+     * Stores a file
+     * @param {Buffer|string|Readable} source - The file contents, or a stream of them
+     * @param {{filename:string, [contentType]:string, [metadata]:*, [id]:*, [chunkSizeBytes]:number}} options - File name, content type, metadata and id (defaults to a new ObjectId)
+     * @return {Promise<*>} – Resolves with the file document once stored
+     */
+    async upload(source, options) {
+        const { filename, id, ...uploadOptions } = options || {};
+        if (!filename) {
+            throw new Error('FileBucket upload must have a filename');
+        }
+
+        const upload = this._getBucket().openUploadStreamWithId(id === undefined ? new ObjectId() : this._getFileId(id), filename, uploadOptions);
+
+        return new Promise((resolve, reject) => {
+            upload.once('finish', resolve);
+            upload.once('error', reject);
+
+            if (source && typeof source.pipe === "function") {
+                // Don't leave the chunks written so far behind when the source fails
+                source.once('error', (err) => {
+                    source.unpipe(upload);
+                    upload.abort(() => reject(err));
+                });
+                source.pipe(upload);
+            } else {
+                upload.end(source);
+            }
+        });
+    }
+
+    /**
+     * Reads a file
+     * @param {*} id - The file id
+     * @param {{[start]:number, [end]:number}} [options] - Byte range to read
+     * @return {Readable} – Stream of the file contents. Emits an error if the file does not exist.
+     */
+    download(id, options) {
+        return this._getBucket().openDownloadStream(this._getFileId(id), options);
+    }
+
+    /**
+     * Gets a file document
+     * @param {*} id - The file id
+     * @return {Promise<*>} – Resolves with the file document, or null if not found
+     */
+    async retrieve(id) {
+        const objectId = this.dbs.getObjectId(id);
+        if (!objectId) return null;
+        return await this._getBucket().find({ _id: objectId }, { limit: 1 }).next();
+    }
+
+    /**
+     * Finds file documents
+     * @param {*} [criteria] - Query on the file documents, e.g. `{ 'metadata.owner': id }`
+     * @param {*} [options] - Find options, e.g. sort, skip, limit
+     * @return {Promise<Array>} – Resolves with the matching file documents
+     */
+    async find(criteria, options) {
+        return await this._getBucket().find(criteria || {}, options).toArray();
+    }
+
+    /**
+     * Replaces the metadata of a file
+     * @param {*} id - The file id
+     * @param {*} metadata - The new metadata
+     * @return {Promise<boolean>} – Whether the file exists
+     */
+    async updateMetadata(id, metadata) {
+        const objectId = this.dbs.getObjectId(id);
+        if (!objectId) return false;
+
+        const result = await this._getCollection('files').updateOne({ _id: objectId }, { $set: { metadata } });
+        return result.matchedCount > 0;
+    }
+
+    /**
+     * Removes a file and its contents
+     * @param {*} id - The file id
+     * @return {Promise<boolean>} – Whether the file existed
+     */
+    async delete(id) {
+        const objectId = this.dbs.getObjectId(id);
+        if (!objectId) return false;
+
+        // Same as the driver's delete, but without failing when the file is already gone
+        const result = await this._getCollection('files').deleteOne({ _id: objectId });
+        await this._getCollection('chunks').deleteMany({ files_id: objectId });
+        return result.deletedCount === 1;
+    }
+
+    /**
+     * Encodes the id of a file for public consumption. Register the bucket prefix in the mongo `prefixes` to accept them as ids.
+     * @param {*} file - The file document or id
+     * @return {string}
+     */
+    getPublicId(file) {
+        return this.dbs.getPublicId(file && file._id !== undefined ? file._id : file, this.prefix);
+    }
+
+    /**
+     * Converts a file id into an ObjectId
+     * @param {*} id - The file id
+     * @return {ObjectId}
+     * @private
+     */
+    _getFileId(id) {
+        const objectId = this.dbs.getObjectId(id);
+        if (!objectId) {
+            throw new Error('FileBucket file id is not valid: ' + id);
+        }
+        return objectId;
+    }
+
+    /**
+     * Gets the driver bucket of the schema's current connection
+     * @return {GridFSBucket}
+     * @private
+     */
+    _getBucket() {
+        const db = this.dbs.getConnection(this.schema).db;
+        if (!this._bucket || this._bucket.db !== db) {
+            this._bucket = {
+                db,
+                bucket: new Mongoose.mongo.GridFSBucket(db, Object.assign({}, this.options, { bucketName: this.name }))
+            };
+        }
+        return this._bucket.bucket;
+    }
+
+    /**
+     * Gets one of the bucket collections
+     * @param {string} type - `files` or `chunks`
+     * @return {Collection}
+     * @private
+     */
+    _getCollection(type) {
+        return this.dbs.getConnection(this.schema).db.collection(this.name + '.' + type);
+    }
+}
+
+/**
+ * Bucket name used when none is given, same as the driver's
+ * @type {string}
+ * @static
+ */
+FileBucket.defaultBucketName = 'fs';
+
+module.exports = FileBucket;
@@ -0,0 +1,196 @@
+"use strict";
+
+/**
+ * Base service for storing files in a GridFS bucket and attaching them to documents.
+ * Like CrudService, extend it and expose the operations your app needs.
+ */
+class FileService {
+
+    /**
+     * Constructor
+     * @param {OkanjoApp} app
+     * @param {{schema:string, [bucket]:string, [prefix]:string, [chunkSizeBytes]:number}} config - File service configuration
+     * @param {MongoService} [dbService]
+     */
+    constructor(app, config, dbService) {
+
+        // Hold a reference to the app
+        Object.defineProperty(this, 'app', {
+            enumerable: false,
+            value: app
+        });
+
+        Object.defineProperty(this, 'dbs', {
+            enumerable: false,
+            value: dbService || this.app.dbs
+        });
+
+        this.config = Object.assign({}, FileService.defaultConfig, config);
+        if (!this.config.schema) {
+            throw new Error('FileService config must have a schema name');
+        }
+
+        /**
+         * The file bucket, once first used
+         * @type {FileBucket|null}
+         * @private
+         */
+        this._bucket = null;
+    }
+
+    /**
+     * Gets the file bucket. Schemas are only known once the app connects, so it's not made in the constructor.
+     * @return {FileBucket}
+     * @protected
+     */
+    _getBucket() {
+        if (!this._bucket) {
+            const { schema, bucket, ...options } = this.config;
+            this._bucket = this.dbs.getBucket(schema, bucket, options);
+        }
+        return this._bucket;
+    }
+
+    /**
+     * Stores a file
+     * @param {Buffer|string|Readable} source - The file contents, or a stream of them
+     * @param {{filename:string, [contentType]:string, [metadata]:*}} options - File name, content type and metadata
+     * @return {Promise<*>} – Resolves with the file document
+     * @protected
+     */
+    async _upload(source, options) {
+        return await this._getBucket().upload(source, options);
+    }
+
+    /**
+     * Reads a file
+     * @param {*} id - The file id or public id
+     * @param {{[start]:number, [end]:number}} [options] - Byte range to read
+     * @return {Readable} – Stream of the file contents
+     * @protected
+     */
+    _download(id, options) {
+        return this._getBucket().download(id, options);
+    }
+
+    /**
+     * Gets a file document
+     * @param {*} id - The file id or public id
+     * @return {Promise<*>} – Resolves with the file document, or null if not found
+     * @protected
+     */
+    async _retrieve(id) {
+        return await this._getBucket().retrieve(id);
+    }
+
+    /**
+     * Finds file documents
+     * @param {*} [criteria] - Query on the file documents
+     * @param {*} [options] - Find options, e.g. sort, skip, limit
+     * @return {Promise<Array>}
+     * @protected
+     */
+    async _find(criteria, options) {
+        return await this._getBucket().find(criteria, options);
+    }
+
+    /**
+     * Replaces the metadata of a file
+     * @param {*} id - The file id or public id
+     * @param {*} metadata - The new metadata
+     * @return {Promise<boolean>} – Whether the file exists
+     * @protected
+     */
+    async _updateMetadata(id, metadata) {
+        return await this._getBucket().updateMetadata(id, metadata);
+    }
+
+    /**
+     * Removes a file
+     * @param {*} id - The file id or public id
+     * @return {Promise<boolean>} – Whether the file existed
+     * @protected
+     */
+    async _delete(id) {
+        return await this._getBucket().delete(id);
+    }
+
+    /**
+     * Stores a file and saves its id on the given document field. A file the field held before is removed.
+     * @param {*} doc - The document to attach the file to
+     * @param {string} field - The document field that holds the file id
+     * @param {Buffer|string|Readable} source - The file contents, or a stream of them
+     * @param {{filename:string, [contentType]:string, [metadata]:*}} options - File name, content type and metadata
+     * @return {Promise<*>} – Resolves with the file document
+     * @protected
+     */
+    async _attach(doc, field, source, options) {
+        const file = await this._upload(source, options);
+        const previous = doc[field];
+
+        doc[field] = file._id;
+        try {
+            await doc.save();
+        } catch (err) {
+            doc[field] = previous;
+            await this._deleteOrphan(file._id);
+            throw err;
+        }
+
+        if (previous) await this._deleteOrphan(previous);
+        return file;
+    }
+
+    /**
+     * Clears the file id on the given document field and removes the file
+     * @param {*} doc - The document the file is attached to
+     * @param {string} field - The document field that holds the file id
+     * @return {Promise<boolean>} – Whether a file was attached
+     * @protected
+     */
+    async _detach(doc, field) {
+        const previous = doc[field];
+        if (!previous) return false;
+
+        doc[field] = null;
+        await doc.save();
+        await this._deleteOrphan(previous);
+        return true;
+    }
+
+    /**
+     * Encodes the id of a file for public consumption
+     * @param {*} file - The file document or id
+     * @return {string}
+     * @protected
+     */
+    _getPublicId(file) {
+        return this._getBucket().getPublicId(file);
+    }
+
+    /**
+     * Removes a file no document refers to anymore. Failures are reported, since the document was already saved.
+     * @param {*} id - The file id
+     * @return {Promise<void>}
+     * @private
+     */
+    async _deleteOrphan(id) {
+        try {
+            await this._delete(id);
+        } catch (err) {
+            /* istanbul ignore next: we're not responsible for db failures */
+            this.app.report('FileService failed to remove file: ' + id, err);
+        }
+    }
+}
+
+/**
+ * Default file service configuration. The schema name is required.
+ * @type {{bucket:string}}
+ * @static
+ */
+FileService.defaultConfig = {
+    bucket: 'fs'
+};
+
+module.exports = FileService;
@@ -0,0 +1,189 @@
+"use strict";
+
+const Mongoose = require('mongoose');
+const ObjectId = Mongoose.Types.ObjectId;
+
+/**
+ * Distributed locks (leases) stored in a collection of a schema, so only one worker at a time does a job.
+ * Locks expire after their TTL, so a worker that dies holding one does not block the others forever.
+ */
+class LockService {
+
+    /**
+     * Constructor
+     * @param {OkanjoApp} app
+     * @param {{schema:string, [collection]:string, [ttl]:number}} config - Lock service configuration
+     * @param {MongoService} [dbService]
+     */
+    constructor(app, config, dbService) {
+
+        // Hold a reference to the app
+        Object.defineProperty(this, 'app', {
+            enumerable: false,
+            value: app
+        });
+
+        Object.defineProperty(this, 'dbs', {
+            enumerable: false,
+            value: dbService || this.app.dbs
+        });
+
+        this.config = Object.assign({}, LockService.defaultConfig, config);
+        if (!this.config.schema) {
+            throw new Error('LockService config must have a schema name');
+        }
+
+        /**
+         * Pending creation of the TTL index
+         * @type {Promise|null}
+         * @private
+         */
+        this._indexing = null;
+    }
+
+    /**
+     * Takes the lock if nobody holds it, or if the last owner let it expire
+     * @param {string} name - The lock name
+     * @param {number} [ttl] - Milliseconds until the lock expires, unless renewed. Defaults to the config `ttl`
+     * @return {Promise<{name:string, owner:string, ttl:number, expiresAt:Date}|null>} – The lock, or null if someone else holds it
+     */
+    async acquire(name, ttl) {
+        const collection = await this._getCollection();
+        const lock = {
+            name,
+            owner: new ObjectId().toHexString(),
+            ttl: ttl || this.config.ttl
+        };
+        const now = new Date();
+        lock.expiresAt = new Date(now.getTime() + lock.ttl);
+
+        // The upsert collides with the existing lock document when it has not expired yet
+        try {
+            await collection.updateOne(
+                { _id: name, expiresAt: { $lt: now } },
+                { $set: { owner: lock.owner, acquiredAt: now, expiresAt: lock.expiresAt } },
+                { upsert: true }
+            );
+        } catch (err) {
+            if (err.code === LockService._collisionErrorCode) return null;
+            /* istanbul ignore next: we're not responsible for db failures */
+            throw err;
+        }
+
+        return lock;
+    }
+
+    /**
+     * Extends the expiration of a held lock
+     * @param {{name:string, owner:string, ttl:number}} lock - The lock, as given by acquire
+     * @param {number} [ttl] - Milliseconds from now until the lock expires. Defaults to the lock's ttl
+     * @return {Promise<boolean>} – Whether the lock was renewed. False if the lock was lost to another owner.
+     */
+    async renew(lock, ttl) {
+        const collection = await this._getCollection();
+        const expiresAt = new Date(Date.now() + (ttl || lock.ttl || this.config.ttl));
+
+        const result = await collection.updateOne({ _id: lock.name, owner: lock.owner }, { $set: { expiresAt } });
+        if (result.matchedCount === 0) return false;
+
+        lock.expiresAt = expiresAt;
+        return true;
+    }
+
+    /**
+     * Releases a held lock. Locks held by other owners are left alone.
+     * @param {{name:string, owner:string}} lock - The lock, as given by acquire
+     * @return {Promise<boolean>} – Whether the lock was released. False if it was already lost to another owner or expired.
+     */
+    async release(lock) {
+        const collection = await this._getCollection();
+        const result = await collection.deleteOne({ _id: lock.name, owner: lock.owner });
+        return result.deletedCount === 1;
+    }
+
+    /**
+     * Runs the given function while holding the lock, renewing it periodically until the function completes
+     * @param {string} name - The lock name
+     * @param {function(lock:*):Promise<*>} fn - Function to run. The lock's `lost` flag is set if renewing fails to keep it
+     * @param {{[ttl]:number, [renewInterval]:number}} [options] - Lock TTL, and milliseconds between renewals (defaults to a third of the TTL)
+     * @return {Promise<*>} – Resolves with the result of the function. Rejects if someone else holds the lock
+     */
+    async withLock(name, fn, options) {
+        const { ttl = this.config.ttl, renewInterval = Math.round(ttl / 3) } = options || {};
+
+        const lock = await this.acquire(name, ttl);
+        if (!lock) {
+            throw new Error('LockService lock is held by another owner: ' + name);
+        }
+
+        lock.lost = false;
+        let done = false;
+        const timer = setInterval(() => {
+            this.renew(lock).then((renewed) => {
+                // A renewal that was still running when the function completed would find the lock released
+                if (done) return;
+                if (!renewed && !lock.lost) {
+                    lock.lost = true;
+                    clearInterval(timer);
+                    this.app.report('LockService lost lock: ' + name, { name, owner: lock.owner });
+                }
+            }, /* istanbul ignore next: we're not responsible for db failures */ (err) => {
+                // Keep trying, the lock is still ours until it expires
+                if (done) return;
+                this.app.report('LockService failed to renew lock: ' + name, err);
+            });
+        }, renewInterval);
+
+        try {
+            return await fn(lock);
+        } finally {
+            done = true;
+            clearInterval(timer);
+            if (!lock.lost) {
+                await this.release(lock).catch(/* istanbul ignore next: the lock will expire anyway */ (err) => {
+                    this.app.report('LockService failed to release lock: ' + name, err);
+                });
+            }
+        }
+    }
+
+    /**
+     * Gets the lock collection, creating its TTL index the first time
+     * @return {Promise<Collection>}
+     * @private
+     */
+    async _getCollection() {
+        const collection = this.dbs.getConnection(this.config.schema).db.collection(this.config.collection);
+
+        // Expired locks are only cleaned up by the server, acquire does not rely on them being gone
+        if (!this._indexing) {
+            this._indexing = collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }).catch((err) => {
+                this._indexing = null;
+                throw err;
+            });
+        }
+        await this._indexing;
+
+        return collection;
+    }
+}
+
+/**
+ * Mongo collision error code
+ * @type {number}
+ * @static
+ * @private
+ */
+LockService._collisionErrorCode = 11000;
+
+/**
+ * Default lock service configuration. The schema name is required.
+ * @type {{collection:string, ttl:number}}
+ * @static
+ */
+LockService.defaultConfig = {
+    collection: '_locks',
+    ttl: 30000
+};
+
+module.exports = LockService;
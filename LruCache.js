@@ -0,0 +1,95 @@
+"use strict";
+
+/**
+ * In-process least-recently-used cache with expiring entries. The default CrudService cache store.
+ *
+ * Any other store (e.g. Redis) can be used instead, as long as it has the same get, set and delete functions.
+ * They may return promises.
+ */
+class LruCache {
+
+    /**
+     * Constructor
+     * @param {{[maxSize]:number, [ttl]:number}} [options] - Most entries to keep, and milliseconds until entries expire (0 to never expire)
+     */
+    constructor(options) {
+        this.options = Object.assign({}, LruCache.defaultOptions, options);
+
+        /**
+         * Entries, in least to most recently used order
+         * @type {Map<string, {value:*, expiresAt:number}>}
+         * @private
+         */
+        this._entries = new Map();
+    }
+
+    /**
+     * Gets the number of entries, including expired entries that were not cleaned up yet
+     * @return {number}
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * Gets a cached value
+     * @param {string} key - The cache key
+     * @return {*} – The value, or undefined if not cached or expired
+     */
+    get(key) {
+        const entry = this._entries.get(key);
+        if (!entry) return undefined;
+
+        this._entries.delete(key);
+        if (entry.expiresAt > 0 && entry.expiresAt <= Date.now()) return undefined;
+
+        // Move it to the most recently used end
+        this._entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Caches a value, dropping the least recently used entries when full
+     * @param {string} key - The cache key
+     * @param {*} value - The value
+     */
+    set(key, value) {
+        this._entries.delete(key);
+        this._entries.set(key, {
+            value,
+            expiresAt: this.options.ttl > 0 ? Date.now() + this.options.ttl : 0
+        });
+
+        while (this._entries.size > this.options.maxSize) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Removes a cached value
+     * @param {string} key - The cache key
+     * @return {boolean} – Whether the key was cached
+     */
+    delete(key) {
+        return this._entries.delete(key);
+    }
+
+    /**
+     * Removes all cached values
+     */
+    clear() {
+        this._entries.clear();
+    }
+}
+
+/**
+ * Default cache options
+ * @type {{maxSize:number, ttl:number}}
+ * @static
+ */
+LruCache.defaultOptions = {
+    maxSize: 1000,
+    ttl: 60000
+};
+
+module.exports = LruCache;
@@ -0,0 +1,336 @@
+"use strict";
+
+const Mongoose = require('mongoose');
+const MemoryQuery = require('./MemoryQuery');
+const ObjectId = Mongoose.Types.ObjectId;
+
+/**
+ * In-memory stand-in for a Mongoose model, for unit testing services without a database.
+ * Mimics the model surface CrudService uses. Each model keeps its own documents.
+ *
+ * Don't use this class directly, create models with MemoryModel.define() or MemoryModel.loadSchema().
+ */
+class MemoryModel {
+
+    /**
+     * Creates a new, unsaved document
+     * @param {*} [data] - Document properties
+     */
+    constructor(data) {
+        Object.defineProperty(this, 'isNew', { value: true, writable: true, enumerable: false });
+        Object.assign(this, MemoryQuery._clone(Object.assign({}, data)));
+        if (this._id === undefined) this._id = new ObjectId();
+        this.constructor._applyDefaults(this);
+    }
+
+    /**
+     * Saves the document, enforcing unique indexes
+     * @param {*} [options] - Save options, ignored (e.g. sessions have no effect)
+     * @param {function(err:Error, doc:MemoryModel)} [callback] - Fired when saved or failed to save
+     * @return {Promise|undefined} – Returns a promise if no callback was given
+     */
+    save(options, callback) {
+        if (typeof options === "function") callback = options;
+        return MemoryModel._callbackify(new Promise((resolve) => resolve(this.constructor._store(this))), callback);
+    }
+
+    /**
+     * Permanently removes the document
+     * @param {*} [options] - Remove options, ignored
+     * @param {function(err:Error, doc:MemoryModel)} [callback] - Fired when removed
+     * @return {Promise|undefined} – Returns a promise if no callback was given
+     */
+    remove(options, callback) {
+        if (typeof options === "function") callback = options;
+        return MemoryModel._callbackify(new Promise((resolve) => {
+            this.constructor._docs.delete(MemoryQuery._getKey(this._id));
+            resolve(this);
+        }), callback);
+    }
+
+    /**
+     * Gets a plain copy of the document
+     * @return {*}
+     */
+    toObject() {
+        return MemoryQuery._clone(Object.assign({}, this));
+    }
+
+    /**
+     * Gets a plain copy of the document
+     * @return {*}
+     */
+    toJSON() {
+        return this.toObject();
+    }
+
+    /**
+     * Finds documents matching the criteria
+     * @param {*} [criteria] - Filter criteria
+     * @return {MemoryQuery}
+     */
+    static find(criteria) {
+        return new MemoryQuery(this, 'find', criteria);
+    }
+
+    /**
+     * Finds the first document matching the criteria
+     * @param {*} [criteria] - Filter criteria
+     * @return {MemoryQuery}
+     */
+    static findOne(criteria) {
+        return new MemoryQuery(this, 'findOne', criteria);
+    }
+
+    /**
+     * Counts documents matching the criteria
+     * @param {*} [criteria] - Filter criteria
+     * @return {MemoryQuery}
+     */
+    static countDocuments(criteria) {
+        return new MemoryQuery(this, 'countDocuments', criteria);
+    }
+
+    /**
+     * Gets the total number of documents
+     * @return {Promise<number>}
+     */
+    static estimatedDocumentCount() {
+        return Promise.resolve(this._docs.size);
+    }
+
+    /**
+     * Deletes documents matching the criteria
+     * @param {*} [criteria] - Filter criteria
+     * @return {MemoryQuery}
+     */
+    static deleteMany(criteria) {
+        return new MemoryQuery(this, 'deleteMany', criteria);
+    }
+
+    /**
+     * Creates and saves one or more documents
+     * @param {*|Array} data - Document properties, or an array of them
+     * @return {Promise<MemoryModel|MemoryModel[]>}
+     */
+    static async create(data) {
+        if (Array.isArray(data)) {
+            const docs = [];
+            for (const item of data) docs.push(await new this(item).save());
+            return docs;
+        }
+        return new this(data).save();
+    }
+
+    /**
+     * Creates a model class
+     * @param {string} modelName - The model name, e.g. `doodad`
+     * @param {Schema} [schema] - Mongoose schema to take defaults, casting and unique indexes from
+     * @param {{[collection]:string, [unique]:Array<string|string[]>, [db]:*}} [options] - Collection name, additional unique field sets, and connection
+     * @return {function} – The model class
+     */
+    static define(modelName, schema, options) {
+        options = options || {};
+
+        const Model = class extends MemoryModel {};
+        Object.defineProperty(Model, 'name', { value: modelName });
+
+        Model.modelName = modelName;
+        Model.schema = schema || null;
+        Model.db = options.db || { name: MemoryModel.databaseName, models: { [modelName]: Model } };
+        Model.collection = {
+            collectionName: options.collection || (schema && schema.options.collection) || Mongoose.pluralize()(modelName)
+        };
+        Model._docs = new Map();
+        Model._uniqueIndexes = MemoryModel._getUniqueIndexes(schema, options.unique);
+
+        return Model;
+    }
+
+    /**
+     * Creates a fake connection whose `model()` function creates memory models, so schema files can be used as-is
+     * @return {{models:*, model:function(name:string, [schema]:Schema, [collection]:string)}}
+     */
+    static createConnection() {
+        const connection = {
+            name: MemoryModel.databaseName,
+            models: {},
+            model(name, schema, collection) {
+                if (!schema) return connection.models[name];
+                return connection.models[name] = MemoryModel.define(name, schema, { collection, db: connection });
+            }
+        };
+        return connection;
+    }
+
+    /**
+     * Loads a schema file (the same kind given as a MongoService schema `path`) using memory models
+     * @param {string} schemaPath - Path of the schema file
+     * @param {OkanjoApp} [app] - The app to give the schema function
+     * @return {*} – The models returned by the schema file
+     */
+    static loadSchema(schemaPath, app) {
+        return require(schemaPath)(MemoryModel.createConnection(), app);
+    }
+
+    /**
+     * Creates a saved document from stored data, like one that was found
+     * @param {*} data - Stored document data
+     * @return {MemoryModel}
+     */
+    static hydrate(data) {
+        const doc = Object.create(this.prototype);
+        Object.defineProperty(doc, 'isNew', { value: false, writable: true, enumerable: false });
+        return Object.assign(doc, MemoryQuery._clone(data));
+    }
+
+    /**
+     * Stores the document, enforcing unique indexes
+     * @param {MemoryModel} doc - The document to save
+     * @return {MemoryModel}
+     * @private
+     */
+    static _store(doc) {
+        let data = this._cast(doc.toObject());
+        const key = MemoryQuery._getKey(data._id);
+
+        if (doc.isNew && this._docs.has(key)) {
+            throw MemoryModel._duplicateKeyError(this.collection.collectionName, '_id_', { _id: data._id });
+        } else if (!doc.isNew) {
+            if (!this._docs.has(key)) {
+                throw new Mongoose.Error.DocumentNotFoundError({ _id: data._id }, this.modelName, 0, {});
+            }
+
+            // Keep fields that were not selected when the document was found
+            data = Object.assign(MemoryQuery._clone(this._docs.get(key)), data);
+        }
+
+        this._uniqueIndexes.forEach((index) => {
+            const values = index.fields.map((field) => MemoryQuery._getPath(data, field));
+            if (index.sparse && values.every((value) => value === undefined)) return;
+
+            const valuesKey = MemoryQuery._getKey(values);
+            this._docs.forEach((stored, storedKey) => {
+                if (storedKey !== key && MemoryQuery._getKey(index.fields.map((field) => MemoryQuery._getPath(stored, field))) === valuesKey) {
+                    const keyValue = {};
+                    index.fields.forEach((field, i) => keyValue[field] = values[i]);
+                    throw MemoryModel._duplicateKeyError(this.collection.collectionName, index.name, keyValue);
+                }
+            });
+        });
+
+        this._docs.set(key, data);
+        Object.assign(doc, MemoryQuery._clone(data));
+        doc.isNew = false;
+        return doc;
+    }
+
+    /**
+     * Sets schema defaults on fields that have no value
+     * @param {MemoryModel} doc - New document
+     * @private
+     */
+    static _applyDefaults(doc) {
+        if (!this.schema) return;
+        this.schema.eachPath((path, type) => {
+            if (path === '_id' || type.defaultValue === undefined || type.$isSingleNested || MemoryQuery._getPath(doc, path) !== undefined) return;
+
+            // Mongoose arrays need a real document, but default to empty anyway
+            MemoryQuery._setPath(doc, path, type.$isMongooseArray ? [] : type.getDefault(doc));
+        });
+    }
+
+    /**
+     * Casts values of simple schema paths (e.g. strings to ObjectIds or Dates) like mongoose would
+     * @param {*} data - Document data
+     * @return {*}
+     * @private
+     */
+    static _cast(data) {
+        if (!this.schema) return data;
+        this.schema.eachPath((path, type) => {
+            const value = MemoryQuery._getPath(data, path);
+            if (value !== undefined && value !== null && MemoryModel.castableTypes.indexOf(type.instance) >= 0) {
+                MemoryQuery._setPath(data, path, type.cast(value));
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Gets the unique indexes of a schema
+     * @param {Schema} [schema] - Mongoose schema
+     * @param {Array<string|string[]>} [unique] - Additional unique fields or field sets
+     * @return {{name:string, fields:string[], sparse:boolean}[]}
+     * @private
+     */
+    static _getUniqueIndexes(schema, unique) {
+        const indexes = (schema ? schema.indexes() : [])
+            .filter(([, options]) => options.unique)
+            .map(([key, options]) => ({
+                name: options.name || Object.keys(key).map((field) => field + '_' + key[field]).join('_'),
+                fields: Object.keys(key),
+                sparse: !!options.sparse
+            }));
+
+        (unique || []).forEach((fields) => {
+            fields = [].concat(fields);
+            indexes.push({ name: fields.map((field) => field + '_1').join('_'), fields, sparse: false });
+        });
+
+        return indexes;
+    }
+
+    /**
+     * Creates an error like the one MongoDB returns when a unique index is violated
+     * @param {string} collectionName - The collection name
+     * @param {string} indexName - The index name
+     * @param {*} keyValue - The duplicate values
+     * @return {Error}
+     * @private
+     */
+    static _duplicateKeyError(collectionName, indexName, keyValue) {
+        const err = new Error('E11000 duplicate key error collection: ' + MemoryModel.databaseName + '.' + collectionName + ' index: ' + indexName + ' dup key: ' + JSON.stringify(keyValue));
+        err.name = 'MongoServerError';
+        err.code = 11000;
+        err.keyValue = keyValue;
+        return err;
+    }
+
+    /**
+     * Returns the promise, or fires the callback when it settles if one was given
+     * @param {Promise} promise
+     * @param {function(err:Error, result:*)} [callback]
+     * @return {Promise|undefined}
+     * @private
+     */
+    static _callbackify(promise, callback) {
+        if (callback) {
+            promise.then((result) => callback(null, result), (err) => callback(err));
+            return undefined;
+        }
+        return promise;
+    }
+}
+
+/**
+ * Documents are models, just like mongoose (see MongoService.isModel)
+ * @type {boolean}
+ */
+MemoryModel.prototype.$isMongooseModelPrototype = true;
+
+/**
+ * Name of the fake database models belong to
+ * @type {string}
+ * @static
+ */
+MemoryModel.databaseName = 'memory';
+
+/**
+ * Schema types that are cast when documents are saved
+ * @type {string[]}
+ * @static
+ */
+MemoryModel.castableTypes = ['String', 'Number', 'Boolean', 'Date', 'ObjectID', 'ObjectId', 'Decimal128'];
+
+module.exports = MemoryModel;
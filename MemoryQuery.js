@@ -0,0 +1,478 @@
+"use strict";
+
+const Mongoose = require('mongoose');
+const ObjectId = Mongoose.Types.ObjectId;
+
+/**
+ * In-memory stand-in for a Mongoose query, returned by MemoryModel query functions.
+ * Queries are thenable, and run when exec'd or awaited.
+ */
+class MemoryQuery {
+
+    /**
+     * Constructor
+     * @param {MemoryModel} model - The model to query
+     * @param {string} op - The operation: find, findOne, countDocuments or deleteMany
+     * @param {*} [criteria] - Filter criteria
+     */
+    constructor(model, op, criteria) {
+        this.model = model;
+        this.op = op;
+        this.options = {};
+        this._conditions = criteria || {};
+        this._fields = undefined;
+    }
+
+    /**
+     * Skips the given number of documents
+     * @param {number} skip
+     * @return {MemoryQuery}
+     */
+    skip(skip) {
+        this.options.skip = skip;
+        return this;
+    }
+
+    /**
+     * Limits the number of documents returned
+     * @param {number} limit
+     * @return {MemoryQuery}
+     */
+    limit(limit) {
+        this.options.limit = limit;
+        return this;
+    }
+
+    /**
+     * Selects the fields to return, as a string (e.g. `name -key`) or object (e.g. `{ name: 1 }`)
+     * @param {string|*} fields
+     * @return {MemoryQuery}
+     */
+    select(fields) {
+        this._fields = Object.assign({}, this._fields, MemoryQuery._parseSpec(fields, 0));
+        return this;
+    }
+
+    /**
+     * Sorts the documents, as a string (e.g. `-created name`) or object (e.g. `{ created: -1 }`)
+     * @param {string|*} sort
+     * @return {MemoryQuery}
+     */
+    sort(sort) {
+        this.options.sort = Object.assign({}, this.options.sort, MemoryQuery._parseSpec(sort, -1));
+        return this;
+    }
+
+    /**
+     * Sets the session of the query. Sessions have no effect in memory.
+     * @param {ClientSession} session
+     * @return {MemoryQuery}
+     */
+    session(session) {
+        this.options.session = session;
+        return this;
+    }
+
+    /**
+     * Sets query options. Only skip, limit and sort affect the results.
+     * @param {*} options
+     * @return {MemoryQuery}
+     */
+    setOptions(options) {
+        const { sort, ...rest } = options || {};
+        Object.assign(this.options, rest);
+        if (sort !== undefined) this.sort(sort);
+        return this;
+    }
+
+    /**
+     * Turns the query into a count of the matching documents
+     * @param {*} [criteria] - Additional filter criteria
+     * @return {MemoryQuery}
+     */
+    countDocuments(criteria) {
+        if (criteria) Object.assign(this._conditions, criteria);
+        this.op = 'countDocuments';
+        return this;
+    }
+
+    /**
+     * Gets the filter criteria
+     * @return {*}
+     */
+    getFilter() {
+        return this._conditions;
+    }
+
+    /**
+     * Gets the filter criteria
+     * @return {*}
+     */
+    getQuery() {
+        return this._conditions;
+    }
+
+    /**
+     * Gets the query options
+     * @return {*}
+     */
+    getOptions() {
+        return this.options;
+    }
+
+    /**
+     * Gets the selected fields
+     * @return {*}
+     */
+    projection() {
+        return this._fields;
+    }
+
+    /**
+     * Runs the query
+     * @param {function(err:Error, result:*)} [callback] - Fired when completed
+     * @return {Promise|undefined} – Returns a promise if no callback was given
+     */
+    exec(callback) {
+        const promise = new Promise((resolve) => resolve(this._run()));
+        if (callback) {
+            promise.then((result) => callback(null, result), (err) => callback(err));
+            return undefined;
+        }
+        return promise;
+    }
+
+    /**
+     * Runs the query, so it can be awaited
+     * @param {function} [resolve]
+     * @param {function} [reject]
+     * @return {Promise}
+     */
+    then(resolve, reject) {
+        return this.exec().then(resolve, reject);
+    }
+
+    /**
+     * Runs the query, catching errors
+     * @param {function} reject
+     * @return {Promise}
+     */
+    catch(reject) {
+        return this.exec().catch(reject);
+    }
+
+    /**
+     * Runs the query against the model's documents
+     * @return {*}
+     * @private
+     */
+    _run() {
+        let docs = Array.from(this.model._docs.values()).filter((doc) => MemoryQuery.matches(doc, this._conditions));
+
+        if (this.op === 'deleteMany') {
+            docs.forEach((doc) => this.model._docs.delete(MemoryQuery._getKey(doc._id)));
+            return { deletedCount: docs.length };
+        }
+
+        const { sort, skip, limit } = this.options;
+        if (sort) {
+            const fields = Object.keys(sort);
+            docs.sort((a, b) => {
+                for (const field of fields) {
+                    const order = MemoryQuery._compare(MemoryQuery._getPath(a, field), MemoryQuery._getPath(b, field));
+                    if (order !== 0) return order * sort[field];
+                }
+                return 0;
+            });
+        }
+        if (skip > 0) docs = docs.slice(skip);
+        if (limit > 0) docs = docs.slice(0, limit);
+
+        if (this.op === 'countDocuments') {
+            return docs.length;
+        } else if (this.op === 'findOne') {
+            return docs.length ? this.model.hydrate(this._project(docs[0])) : null;
+        } else {
+            return docs.map((doc) => this.model.hydrate(this._project(doc)));
+        }
+    }
+
+    /**
+     * Applies the selected fields to a stored document
+     * @param {*} doc - Stored document
+     * @return {*}
+     * @private
+     */
+    _project(doc) {
+        const fields = this._fields;
+        if (!fields || !Object.keys(fields).length) return doc;
+
+        const inclusive = Object.keys(fields).some((field) => field !== '_id' && fields[field] > 0);
+        let projected;
+
+        if (inclusive) {
+            projected = {};
+            if (fields._id !== 0) projected._id = doc._id;
+            Object.keys(fields)
+                .filter((field) => fields[field] > 0)
+                .forEach((field) => {
+                    const value = MemoryQuery._getPath(doc, field);
+                    if (value !== undefined) MemoryQuery._setPath(projected, field, value);
+                });
+        } else {
+            projected = MemoryQuery._clone(doc);
+            Object.keys(fields).forEach((field) => MemoryQuery._deletePath(projected, field));
+        }
+        return projected;
+    }
+
+    /**
+     * Returns whether the document matches the given filter criteria
+     * @param {*} doc - Document
+     * @param {*} criteria - Filter criteria
+     * @return {boolean}
+     */
+    static matches(doc, criteria) {
+        return Object.keys(criteria || {}).every((key) => {
+            const condition = criteria[key];
+            if (key === '$and') {
+                return condition.every((c) => MemoryQuery.matches(doc, c));
+            } else if (key === '$or') {
+                return condition.some((c) => MemoryQuery.matches(doc, c));
+            } else if (key === '$nor') {
+                return !condition.some((c) => MemoryQuery.matches(doc, c));
+            } else if (key[0] === '$') {
+                throw new Error('MemoryQuery does not support the query operator: ' + key);
+            } else {
+                return MemoryQuery._matchesCondition(MemoryQuery._getPath(doc, key), condition);
+            }
+        });
+    }
+
+    /**
+     * Returns whether a document value satisfies a field condition
+     * @param {*} value - Document value
+     * @param {*} condition - Field condition, either a value or an operator object like `{ $gt: 5 }`
+     * @return {boolean}
+     * @private
+     */
+    static _matchesCondition(value, condition) {
+        const isOperatorObject = condition && typeof condition === "object" && Object.getPrototypeOf(condition) === Object.prototype &&
+            Object.keys(condition).length > 0 && Object.keys(condition).every((key) => key[0] === '$');
+
+        if (!isOperatorObject) return MemoryQuery._equals(value, condition);
+
+        return Object.keys(condition).every((op) => {
+            const operand = condition[op];
+            switch (op) {
+                case '$eq': return MemoryQuery._equals(value, operand);
+                case '$ne': return !MemoryQuery._equals(value, operand);
+                case '$gt': return MemoryQuery._matchesAny(value, (v) => MemoryQuery._isComparable(v, operand) && MemoryQuery._compare(v, operand) > 0);
+                case '$gte': return MemoryQuery._matchesAny(value, (v) => MemoryQuery._isComparable(v, operand) && MemoryQuery._compare(v, operand) >= 0);
+                case '$lt': return MemoryQuery._matchesAny(value, (v) => MemoryQuery._isComparable(v, operand) && MemoryQuery._compare(v, operand) < 0);
+                case '$lte': return MemoryQuery._matchesAny(value, (v) => MemoryQuery._isComparable(v, operand) && MemoryQuery._compare(v, operand) <= 0);
+                case '$in': return operand.some((expected) => MemoryQuery._equals(value, expected));
+                case '$nin': return !operand.some((expected) => MemoryQuery._equals(value, expected));
+                case '$exists': return (value !== undefined) === !!operand;
+                case '$regex': {
+                    const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options);
+                    return MemoryQuery._matchesAny(value, (v) => typeof v === "string" && regex.test(v));
+                }
+                case '$options': return true; // Used by $regex
+                case '$not': return !MemoryQuery._matchesCondition(value, operand);
+                case '$size': return Array.isArray(value) && value.length === operand;
+                case '$all': return Array.isArray(value) && operand.every((expected) => MemoryQuery._equals(value, expected));
+                case '$elemMatch': return Array.isArray(value) && value.some((item) => MemoryQuery._matchesCondition(item, operand) || (item && typeof item === "object" && MemoryQuery.matches(item, operand)));
+                default: throw new Error('MemoryQuery does not support the query operator: ' + op);
+            }
+        });
+    }
+
+    /**
+     * Returns whether the document value equals the expected value. Like MongoDB, arrays match if any element matches.
+     * @param {*} value - Document value
+     * @param {*} expected - Expected value
+     * @return {boolean}
+     * @private
+     */
+    static _equals(value, expected) {
+        if (expected instanceof RegExp) {
+            return MemoryQuery._matchesAny(value, (v) => typeof v === "string" && expected.test(v));
+        }
+        const key = MemoryQuery._getKey(expected);
+        return MemoryQuery._matchesAny(value, (v) => MemoryQuery._getKey(v) === key);
+    }
+
+    /**
+     * Returns whether the value, or any of its elements if an array, passes the test
+     * @param {*} value
+     * @param {function(value:*):boolean} test
+     * @return {boolean}
+     * @private
+     */
+    static _matchesAny(value, test) {
+        return test(value) || (Array.isArray(value) && value.some(test));
+    }
+
+    /**
+     * Gets the BSON sort order of the value's type
+     * @param {*} value
+     * @return {number}
+     * @private
+     */
+    static _getTypeOrder(value) {
+        if (value === undefined || value === null) return 0;
+        if (typeof value === "number") return 1;
+        if (typeof value === "string") return 2;
+        if (Array.isArray(value)) return 4;
+        if (value instanceof ObjectId) return 5;
+        if (typeof value === "boolean") return 6;
+        if (value instanceof Date) return 7;
+        return 3;
+    }
+
+    /**
+     * Returns whether the values can be compared with range operators, which only match values of the same type
+     * @param {*} a
+     * @param {*} b
+     * @return {boolean}
+     * @private
+     */
+    static _isComparable(a, b) {
+        return a !== undefined && a !== null && MemoryQuery._getTypeOrder(a) === MemoryQuery._getTypeOrder(b);
+    }
+
+    /**
+     * Compares two values in BSON order
+     * @param {*} a
+     * @param {*} b
+     * @return {number} – Negative if a sorts first, positive if b sorts first, or 0 if equal
+     * @private
+     */
+    static _compare(a, b) {
+        const typeOrder = MemoryQuery._getTypeOrder(a) - MemoryQuery._getTypeOrder(b);
+        if (typeOrder !== 0) return typeOrder;
+
+        if (a instanceof Date) {
+            a = a.getTime();
+            b = b.getTime();
+        } else if (a instanceof ObjectId) {
+            a = a.toHexString();
+            b = b.toHexString();
+        } else if (a && typeof a === "object") {
+            a = MemoryQuery._getKey(a);
+            b = MemoryQuery._getKey(b);
+        }
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    /**
+     * Gets a string that is equal for equal values, used for matching and as document keys
+     * @param {*} value
+     * @return {string}
+     * @private
+     */
+    static _getKey(value) {
+        if (value === undefined || value === null) return 'null';
+        if (value instanceof ObjectId) return 'oid:' + value.toHexString();
+        if (value instanceof Date) return 'date:' + value.getTime();
+        if (Array.isArray(value)) return '[' + value.map(MemoryQuery._getKey).join(',') + ']';
+        if (typeof value === "object") {
+            return '{' + Object.keys(value).map((key) => JSON.stringify(key) + ':' + MemoryQuery._getKey(value[key])).join(',') + '}';
+        }
+        return typeof value + ':' + value;
+    }
+
+    /**
+     * Parses a sort or projection spec into an object
+     * @param {string|*} spec - E.g. `-created name` or `{ created: -1 }`
+     * @param {number} negative - Value of fields prefixed with `-` in string specs
+     * @return {*}
+     * @private
+     */
+    static _parseSpec(spec, negative) {
+        if (typeof spec !== "string") {
+            const parsed = {};
+            Object.keys(spec || {}).forEach((field) => {
+                const value = spec[field];
+                parsed[field] = value === 'desc' || value === 'descending' ? -1 : (value === 'asc' || value === 'ascending' ? 1 : Number(value));
+            });
+            return parsed;
+        }
+
+        const parsed = {};
+        spec.split(/\s+/).filter((field) => field).forEach((field) => {
+            if (field[0] === '-') {
+                parsed[field.substr(1)] = negative;
+            } else {
+                parsed[field[0] === '+' ? field.substr(1) : field] = 1;
+            }
+        });
+        return parsed;
+    }
+
+    /**
+     * Gets the value at the given dot-notation path. Paths through arrays get the values of each element.
+     * @param {*} obj
+     * @param {string} path
+     * @return {*}
+     * @private
+     */
+    static _getPath(obj, path) {
+        return path.split('.').reduce((value, key) => {
+            if (Array.isArray(value) && !/^\d+$/.test(key)) {
+                return value.map((item) => item && item[key]).filter((item) => item !== undefined);
+            }
+            return value === undefined || value === null ? undefined : value[key];
+        }, obj);
+    }
+
+    /**
+     * Sets the value at the given dot-notation path
+     * @param {*} obj
+     * @param {string} path
+     * @param {*} value
+     * @private
+     */
+    static _setPath(obj, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((target, key) => {
+            if (!target[key] || typeof target[key] !== "object") target[key] = {};
+            return target[key];
+        }, obj);
+        parent[last] = value;
+    }
+
+    /**
+     * Deletes the value at the given dot-notation path
+     * @param {*} obj
+     * @param {string} path
+     * @private
+     */
+    static _deletePath(obj, path) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.length ? MemoryQuery._getPath(obj, keys.join('.')) : obj;
+        if (parent && typeof parent === "object") delete parent[last];
+    }
+
+    /**
+     * Deep copies plain objects, arrays and dates. Other values (e.g. ObjectIds) are immutable and kept as-is.
+     * @param {*} value
+     * @return {*}
+     * @private
+     */
+    static _clone(value) {
+        if (Array.isArray(value)) return value.map(MemoryQuery._clone);
+        if (value instanceof Date) return new Date(value.getTime());
+        if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+            const copy = {};
+            Object.keys(value).forEach((key) => copy[key] = MemoryQuery._clone(value[key]));
+            return copy;
+        }
+        return value;
+    }
+}
+
+module.exports = MemoryQuery;
@@ -0,0 +1,171 @@
+"use strict";
+
+const FS = require('fs');
+const Path = require('path');
+const LockService = require('./LockService');
+
+/**
+ * Applies and reverts the migrations of a schema, recording them in a collection of the schema's database.
+ * Used by `mongo.migrate()`, `mongo.rollback()` and `mongo.status()`.
+ */
+class MigrationRunner {
+
+    /**
+     * Constructor
+     * @param {MongoService} dbService
+     * @param {string} schemaName - The schema to migrate
+     * @param {{path:string, collection:string, lockTimeout:number}} policy - The schema's migration policy
+     */
+    constructor(dbService, schemaName, policy) {
+
+        Object.defineProperty(this, 'dbs', {
+            enumerable: false,
+            value: dbService
+        });
+
+        this.schema = schemaName;
+        this.policy = policy;
+    }
+
+    /**
+     * Applies the pending migrations, in order
+     * @return {Promise<{schema:string, name:string}[]>} – The migrations that were applied
+     */
+    async migrate() {
+        const applied = [];
+
+        await this._withLock(async (collection) => {
+            const done = await this._getApplied(collection);
+            const pending = this._getFiles().filter((migration) => !done.some((record) => record._id === migration));
+
+            for (const migration of pending) {
+                await this._run(migration, 'up');
+                await collection.insertOne({ _id: migration, appliedAt: new Date() });
+                applied.push({ schema: this.schema, name: migration });
+            }
+        });
+
+        return applied;
+    }
+
+    /**
+     * Reverts the most recently applied migrations
+     * @param {number} steps - How many migrations to revert, a positive integer
+     * @return {Promise<{schema:string, name:string}[]>} – The migrations that were reverted
+     */
+    async rollback(steps) {
+        const reverted = [];
+
+        await this._withLock(async (collection) => {
+            const done = (await this._getApplied(collection)).reverse().slice(0, steps);
+
+            for (const record of done) {
+                await this._run(record._id, 'down');
+                await collection.deleteOne({ _id: record._id });
+                reverted.push({ schema: this.schema, name: record._id });
+            }
+        });
+
+        return reverted;
+    }
+
+    /**
+     * Gets the migrations, and whether they were applied
+     * @return {Promise<{schema:string, name:string, applied:boolean, appliedAt:Date|null}[]>}
+     */
+    async status() {
+        const done = await this._getApplied(this._getCollection());
+        const migrations = new Set(this._getFiles().concat(done.map((record) => record._id)));
+
+        return Array.from(migrations).sort().map((migration) => {
+            const record = done.find((record) => record._id === migration);
+            return { schema: this.schema, name: migration, applied: !!record, appliedAt: record ? record.appliedAt : null };
+        });
+    }
+
+    /**
+     * Gets the migration names, in the order they apply
+     * @return {string[]}
+     * @private
+     */
+    _getFiles() {
+        return FS.readdirSync(this.policy.path)
+            .filter((file) => Path.extname(file) === '.js')
+            .map((file) => Path.basename(file, '.js'))
+            .sort();
+    }
+
+    /**
+     * Gets the collection that records the applied migrations
+     * @return {Collection}
+     * @private
+     */
+    _getCollection() {
+        return this.dbs.getConnection(this.schema).db.collection(this.policy.collection);
+    }
+
+    //noinspection JSMethodCanBeStatic
+    /**
+     * Gets the applied migration records, in the order they were applied
+     * @param {Collection} collection - The migrations collection
+     * @return {Promise<Array>}
+     * @private
+     */
+    _getApplied(collection) {
+        return collection
+            .find({ _id: { $ne: MigrationRunner.lockId } })
+            .sort({ appliedAt: 1, _id: 1 })
+            .toArray();
+    }
+
+    /**
+     * Runs the given function while holding the migration lock, so only one runner migrates the schema at a time.
+     * The lock is kept in the migrations collection, and renewed until the function completes.
+     * @param {function(collection:Collection):Promise} fn - Function to run
+     * @return {Promise}
+     * @private
+     */
+    async _withLock(fn) {
+        const locks = new LockService(this.dbs.app, { schema: this.schema, collection: this.policy.collection, ttl: this.policy.lockTimeout }, this.dbs);
+        const collection = this._getCollection();
+
+        return await locks.withLock(MigrationRunner.lockId, () => fn(collection));
+    }
+
+    /**
+     * Runs a migration function
+     * @param {string} migration - The migration name
+     * @param {string} direction - `up` or `down`
+     * @return {Promise}
+     * @private
+     */
+    async _run(migration, direction) {
+        const app = this.dbs.app;
+        const file = Path.join(this.policy.path, migration + '.js');
+        if (!FS.existsSync(file)) {
+            throw new Error('MongoService migration file does not exist: ' + this.schema + '/' + migration);
+        }
+
+        const fn = require(file)[direction];
+        if (typeof fn !== "function") {
+            throw new Error('MongoService migration does not export ' + direction + '(): ' + this.schema + '/' + migration);
+        }
+
+        try {
+            await fn(this.dbs.getConnection(this.schema), this.dbs.models[this.schema], app);
+        } catch (err) {
+            app.report('MongoService migration failed: ' + this.schema + '/' + migration + ' (' + direction + ')', err);
+            throw err;
+        }
+        app.log('MongoService migrated ' + direction + ': ' + this.schema + '/' + migration);
+    }
+}
+
+/**
+ * Identifier of the lock document in the migrations collection
+ * @type {string}
+ * @static
+ */
+MigrationRunner.lockId = '_lock';
+
+module.exports = MigrationRunner;
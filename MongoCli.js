@@ -0,0 +1,512 @@
+"use strict";
+
+const FS = require('fs');
+const Path = require('path');
+const OkanjoApp = require('okanjo-app');
+const { EJSON } = require('bson');
+const MongoService = require('./MongoService');
+
+/**
+ * Command-line tool for operating the schemas of an app config, e.g. in deployment scripts.
+ * Results are printed as JSON. Failed commands exit with a non-zero code.
+ */
+class MongoCli {
+
+    /**
+     * Constructor
+     * @param {{[stdin]:Readable, [stdout]:Writable, [stderr]:Writable, [cwd]:string}} [options] - Streams and working directory. Defaults to the process'
+     */
+    constructor(options) {
+        const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = options || {};
+
+        this.stdin = stdin;
+        this.stdout = stdout;
+        this.stderr = stderr;
+        this.cwd = cwd;
+
+        /**
+         * The service of the running command, closed when the command completes
+         * @type {MongoService|null}
+         * @private
+         */
+        this._mongo = null;
+    }
+
+    /**
+     * Runs a command
+     * @param {string[]} argv - Command-line arguments, without the node and script paths
+     * @return {Promise<number>} – Resolves with the exit code
+     */
+    async run(argv) {
+        let args;
+        try {
+            args = MongoCli._parseArgs(argv);
+        } catch (err) {
+            this._error(err.message);
+            return MongoCli.exitCodes.usage;
+        }
+
+        // Commands may have a subcommand, e.g. `indexes diff`
+        const { positional, options } = args;
+        const name = MongoCli.commands[positional.slice(0, 2).join(' ')] ? positional.slice(0, 2).join(' ') : positional[0];
+        const command = MongoCli.commands[name];
+
+        if (!command) {
+            if (positional.length > 0) {
+                this._error('unknown command: ' + positional.join(' '));
+            } else if (options.help) {
+                this.stdout.write(MongoCli.getUsage());
+                return MongoCli.exitCodes.ok;
+            }
+            this.stderr.write(MongoCli.getUsage());
+            return MongoCli.exitCodes.usage;
+        }
+
+        const params = positional.slice(name.split(' ').length);
+        if (options.help || params.length < command.required) {
+            (options.help ? this.stdout : this.stderr).write('Usage: okanjo-mongo ' + command.usage + '\n');
+            return options.help ? MongoCli.exitCodes.ok : MongoCli.exitCodes.usage;
+        }
+
+        try {
+            return await this[command.method](params, options);
+        } catch (err) {
+            this._error(err.message);
+            return MongoCli.exitCodes.failed;
+        } finally {
+            if (this._mongo) {
+                await this._mongo.close();
+                this._mongo = null;
+            }
+        }
+    }
+
+    /**
+     * Prints the health report of each schema
+     * @param {string[]} params - Command arguments
+     * @param {*} options - Command options
+     * @return {Promise<number>} – Non-zero if a required schema is not healthy
+     * @protected
+     */
+    async _health(params, options) {
+        const mongo = this._createService(options);
+
+        // Still report the schemas that did connect
+        await mongo.app.connectToServices().catch((err) => this._error(err.message));
+
+        this._print(mongo.getHealthReport());
+        return mongo.getHealthStatus() ? MongoCli.exitCodes.ok : MongoCli.exitCodes.failed;
+    }
+
+    /**
+     * Prints the missing, extra and mismatched indexes of each model
+     * @param {string[]} params - Command arguments: [schema]
+     * @param {*} options - Command options
+     * @return {Promise<number>} – Non-zero if any indexes differ
+     * @protected
+     */
+    async _diffIndexes(params, options) {
+        const mongo = await this._connect(options);
+        const diffs = await mongo.diffIndexes(params[0]);
+
+        this._print(diffs);
+        const differs = diffs.some((diff) => diff.missing.length > 0 || diff.extra.length > 0 || diff.mismatched.length > 0);
+        return differs ? MongoCli.exitCodes.failed : MongoCli.exitCodes.ok;
+    }
+
+    /**
+     * Makes the database indexes match the declared indexes, and prints the changes
+     * @param {string[]} params - Command arguments: [schema]
+     * @param {*} options - Command options
+     * @return {Promise<number>}
+     * @protected
+     */
+    async _syncIndexes(params, options) {
+        const mongo = await this._connect(options);
+        this._print(await mongo.syncIndexes({
+            schemaName: params[0],
+            dryRun: options['dry-run'] === true,
+            dropExtra: options['drop-extra'] === true
+        }));
+        return MongoCli.exitCodes.ok;
+    }
+
+    /**
+     * Writes the documents of a model's collection to a file, or to stdout
+     * @param {string[]} params - Command arguments: schema, model, [criteria]
+     * @param {*} options - Command options
+     * @return {Promise<number>}
+     * @protected
+     */
+    async _export(params, options) {
+        const [schemaName, modelName, criteria] = params;
+        const query = MongoCli._parseCriteria(criteria);
+        const transferOptions = MongoCli._getTransferOptions(options);
+        const mongo = await this._connect(options);
+
+        const writable = options.out ? await MongoCli._openWriteStream(Path.resolve(this.cwd, options.out)) : this.stdout;
+        this._reportProgress(mongo, 'export_progress', options);
+
+        // Keep stdout clean for the documents
+        const totals = await mongo.exportCollection(schemaName, modelName, query, writable, Object.assign(transferOptions, { end: writable !== this.stdout }));
+        this._print(totals, options.out ? this.stdout : this.stderr);
+        return MongoCli.exitCodes.ok;
+    }
+
+    /**
+     * Writes the documents of a file, or stdin, to a model's collection
+     * @param {string[]} params - Command arguments: schema, model, [file]
+     * @param {*} options - Command options
+     * @return {Promise<number>}
+     * @protected
+     */
+    async _import(params, options) {
+        const [schemaName, modelName, file] = params;
+        const transferOptions = MongoCli._getTransferOptions(options);
+        if (options.mode !== undefined) transferOptions.mode = options.mode;
+        const mongo = await this._connect(options);
+
+        const readable = file ? FS.createReadStream(Path.resolve(this.cwd, file)) : this.stdin;
+        this._reportProgress(mongo, 'import_progress', options);
+
+        this._print(await mongo.importCollection(schemaName, modelName, readable, transferOptions));
+        return MongoCli.exitCodes.ok;
+    }
+
+    /**
+     * Prints the number of documents of a model's collection that match the criteria
+     * @param {string[]} params - Command arguments: schema, model, [criteria]
+     * @param {*} options - Command options
+     * @return {Promise<number>}
+     * @protected
+     */
+    async _count(params, options) {
+        const [schemaName, modelName, criteria] = params;
+        const query = MongoCli._parseCriteria(criteria);
+        const mongo = await this._connect(options);
+
+        // Count on the collection like export does, so the criteria are not cast by the model
+        this._print(await mongo.getCollection(schemaName, modelName).countDocuments(query));
+        return MongoCli.exitCodes.ok;
+    }
+
+    /**
+     * Prints the parts of a public id, including its ObjectId
+     * @param {string[]} params - Command arguments: public id
+     * @param {*} options - Command options
+     * @return {Promise<number>} – Non-zero if the id can't be decoded
+     * @protected
+     */
+    async _decodeId(params, options) {
+        const mongo = this._createService(options);
+        const parsed = mongo.parsePublicId(params[0]);
+
+        this._print(Object.assign(parsed, { objectId: parsed.objectId.toHexString() }));
+        return MongoCli.exitCodes.ok;
+    }
+
+    /**
+     * Prints the public id of an ObjectId
+     * @param {string[]} params - Command arguments: id, type (a key of the configured prefixes) or prefix
+     * @param {*} options - Command options
+     * @return {Promise<number>}
+     * @protected
+     */
+    async _encodeId(params, options) {
+        const [id, type] = params;
+        const mongo = this._createService(options);
+        const objectId = mongo.getObjectId(id);
+        if (!objectId) {
+            throw new Error('not a valid id: ' + id);
+        }
+
+        this._print(mongo.getPublicId(objectId, mongo.prefixes[type] || type));
+        return MongoCli.exitCodes.ok;
+    }
+
+    /**
+     * Loads the app config and makes the app and its MongoService, without connecting
+     * @param {{[config]:string, [timeout]:string}} options - Command options
+     * @return {MongoService}
+     * @protected
+     */
+    _createService(options) {
+        const configPath = Path.resolve(this.cwd, options.config || MongoCli.defaultConfigPath);
+        let config;
+        try {
+            config = require(configPath);
+        } catch (err) {
+            throw new Error('failed to load config ' + configPath + ': ' + err.message);
+        }
+
+        const app = new OkanjoApp(config);
+        app.on('error', () => {}); // connection failures are given to the command, don't blow up the process
+
+        const mongoConfig = Object.assign({}, app.config.mongo);
+
+        // Don't keep deployment scripts waiting forever
+        if (options.timeout !== undefined) {
+            mongoConfig.connectTimeout = MongoCli._parseNumber(options.timeout, 'timeout');
+        } else if (!(mongoConfig.connectTimeout > 0)) {
+            mongoConfig.connectTimeout = MongoCli.defaultConnectTimeout;
+        }
+
+        this._mongo = app.dbs = new MongoService(app, mongoConfig);
+        return this._mongo;
+    }
+
+    /**
+     * Makes the MongoService and connects its schemas
+     * @param {*} options - Command options
+     * @return {Promise<MongoService>}
+     * @protected
+     */
+    async _connect(options) {
+        const mongo = this._createService(options);
+        await mongo.app.connectToServices();
+        return mongo;
+    }
+
+    /**
+     * Prints the totals of each batch to stderr, when asked to
+     * @param {MongoService} mongo - The service
+     * @param {string} event - The progress event name
+     * @param {{[progress]:boolean}} options - Command options
+     * @private
+     */
+    _reportProgress(mongo, event, options) {
+        if (options.progress === true) {
+            mongo.on(event, (progress) => this.stderr.write(JSON.stringify(progress) + '\n'));
+        }
+    }
+
+    /**
+     * Prints a result as JSON
+     * @param {*} value - The result
+     * @param {Writable} [stream] - Where to print it. Defaults to stdout
+     * @private
+     */
+    _print(value, stream) {
+        (stream || this.stdout).write(JSON.stringify(value, null, 2) + '\n');
+    }
+
+    /**
+     * Prints an error message to stderr
+     * @param {string} message - The message
+     * @private
+     */
+    _error(message) {
+        this.stderr.write('okanjo-mongo: ' + message + '\n');
+    }
+
+    /**
+     * Gets the usage text
+     * @return {string}
+     */
+    static getUsage() {
+        const commands = Object.keys(MongoCli.commands).map((name) => {
+            const command = MongoCli.commands[name];
+            return '  ' + command.usage + '\n      ' + command.description;
+        });
+
+        return [
+            'Usage: okanjo-mongo <command> [options]',
+            '',
+            'Commands:',
+            ...commands,
+            '',
+            'Options:',
+            '  --config <path>      App config file. Default is ' + MongoCli.defaultConfigPath,
+            '  --timeout <ms>       Milliseconds to wait for schemas to connect. Default is the config connectTimeout, or ' + MongoCli.defaultConnectTimeout,
+            '  --help               Show usage',
+            '',
+            'Set the `env` environment variable to apply the config overrides of an environment.',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Splits command-line arguments into positional arguments and options
+     * @param {string[]} argv - Command-line arguments
+     * @return {{positional:string[], options:*}}
+     * @private
+     */
+    static _parseArgs(argv) {
+        const positional = [];
+        const options = {};
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (arg === '--') {
+                positional.push(...argv.slice(i + 1));
+                break;
+            } else if (arg.startsWith('--')) {
+                const [name, value] = arg.slice(2).split(/=(.*)/s);
+                if (MongoCli.flags.includes(name)) {
+                    options[name] = true;
+                } else if (value !== undefined) {
+                    options[name] = value;
+                } else if (i + 1 < argv.length) {
+                    options[name] = argv[++i];
+                } else {
+                    throw new Error('missing value of option --' + name);
+                }
+            } else {
+                positional.push(arg);
+            }
+        }
+
+        return { positional, options };
+    }
+
+    /**
+     * Parses a criteria argument, which is (Extended) JSON, e.g. `{"_id":{"$oid":"..."}}`
+     * @param {string} [criteria] - The argument
+     * @return {*} – The query. Defaults to all documents
+     * @private
+     */
+    static _parseCriteria(criteria) {
+        if (criteria === undefined) return {};
+        try {
+            return EJSON.parse(criteria);
+        } catch (err) {
+            throw new Error('criteria is not valid JSON: ' + err.message);
+        }
+    }
+
+    /**
+     * Gets the export and import options given on the command line
+     * @param {{[format]:string, [batch-size]:string}} options - Command options
+     * @return {{[format]:string, [batchSize]:number}}
+     * @private
+     */
+    static _getTransferOptions(options) {
+        const transferOptions = {};
+        if (options.format !== undefined) transferOptions.format = options.format;
+        if (options['batch-size'] !== undefined) transferOptions.batchSize = MongoCli._parseNumber(options['batch-size'], 'batch-size');
+        return transferOptions;
+    }
+
+    /**
+     * Opens a file for writing, so a file that can't be written fails the command before anything is exported
+     * @param {string} path - The file path
+     * @return {Promise<WriteStream>}
+     * @private
+     */
+    static _openWriteStream(path) {
+        return new Promise((resolve, reject) => {
+            const writable = FS.createWriteStream(path);
+            const onError = (err) => reject(new Error('failed to open ' + path + ': ' + err.message));
+            writable.once('error', onError);
+            writable.once('open', () => {
+                writable.removeListener('error', onError);
+                resolve(writable);
+            });
+        });
+    }
+
+    /**
+     * Parses a positive number option
+     * @param {string} value - The option value
+     * @param {string} name - The option name
+     * @return {number}
+     * @private
+     */
+    static _parseNumber(value, name) {
+        const number = Number(value);
+        if (!(number > 0)) {
+            throw new Error('option --' + name + ' must be a positive number');
+        }
+        return number;
+    }
+}
+
+/**
+ * Exit codes of the tool
+ * @type {{ok:number, failed:number, usage:number}}
+ * @static
+ */
+MongoCli.exitCodes = {
+    ok: 0,
+    failed: 1,
+    usage: 2
+};
+
+/**
+ * Config file loaded when none is given, relative to the working directory
+ * @type {string}
+ * @static
+ */
+MongoCli.defaultConfigPath = 'config.js';
+
+/**
+ * Milliseconds to wait for schemas to connect when the config has no connectTimeout
+ * @type {number}
+ * @static
+ */
+MongoCli.defaultConnectTimeout = 10000;
+
+/**
+ * Options that take no value
+ * @type {string[]}
+ * @static
+ */
+MongoCli.flags = ['help', 'dry-run', 'drop-extra', 'progress'];
+
+/**
+ * Commands, by name, with the number of required arguments
+ * @type {Object<string, {method:string, required:number, usage:string, description:string}>}
+ * @static
+ */
+MongoCli.commands = {
+    'health': {
+        method: '_health',
+        required: 0,
+        usage: 'health',
+        description: 'Print the status of each schema'
+    },
+    'indexes diff': {
+        method: '_diffIndexes',
+        required: 0,
+        usage: 'indexes diff [schema]',
+        description: 'Print index differences. Fails if any differ'
+    },
+    'indexes sync': {
+        method: '_syncIndexes',
+        required: 0,
+        usage: 'indexes sync [schema] [--dry-run] [--drop-extra]',
+        description: 'Create missing and rebuild mismatched indexes'
+    },
+    'export': {
+        method: '_export',
+        required: 2,
+        usage: 'export <schema> <model> [criteria] [--out file] [--format ejson|ndjson] [--batch-size n] [--progress]',
+        description: 'Write documents to a file or stdout'
+    },
+    'import': {
+        method: '_import',
+        required: 2,
+        usage: 'import <schema> <model> [file] [--mode insert|upsert|skip] [--format ejson|ndjson] [--batch-size n] [--progress]',
+        description: 'Write documents from a file or stdin'
+    },
+    'count': {
+        method: '_count',
+        required: 2,
+        usage: 'count <schema> <model> [criteria]',
+        description: 'Print the number of matching documents'
+    },
+    'decode-id': {
+        method: '_decodeId',
+        required: 1,
+        usage: 'decode-id <publicId>',
+        description: 'Print the type, environment and ObjectId of a public id'
+    },
+    'encode-id': {
+        method: '_encodeId',
+        required: 2,
+        usage: 'encode-id <id> <type|prefix>',
+        description: 'Print the public id of an ObjectId'
+    }
+};
+
+module.exports = MongoCli;
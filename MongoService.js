@@ -1,8 +1,13 @@
 "use strict";
 
 const EventEmitter = require('events').EventEmitter;
+const Path = require('path');
 const Mongoose = require('mongoose');
 const BaseId = require('base-id');
+const FileBucket = require('./FileBucket');
+const CollectionTransfer = require('./CollectionTransfer');
+const MigrationRunner = require('./MigrationRunner');
+const ChangeStreamWatch = require('./ChangeStreamWatch');
 const ObjectId = Mongoose.Types.ObjectId;
 
 /**
@@ -28,28 +33,70 @@ class MongoService extends EventEmitter {
 
         this._expectedConnectionReadies = 1;
         this._dbStates = {};
+        this._dbStateChanges = {};
+        this._dbErrors = {};
         this._dbConnections = {};
+        this._schemas = {};
+        this._reconnectTimers = {};
+        this._reconnectAttempts = {};
+        this._readReconnectTimers = {};
+        this._readReconnectAttempts = {};
+        this._pingTimers = {};
+        this._pingFailures = {};
+        this._pingLatencies = {};
+        this._tenantCaches = {};
+        this._readConnections = {};
+        this._metrics = {};
+        this._slowQueryWindow = { start: 0, reported: 0, suppressed: 0 };
+        this._watches = {};
+
+        // Models of each schema, and the models to use for reads (which may be bound to a secondary connection)
+        this.models = {};
+        this.readModels = {};
+        this._closing = false;
 
         // Register the connection with the app
         app.registerServiceConnector(async () => {
-            return new Promise((resolve) => {
+            return new Promise((resolve, reject) => {
                 // Do the connection
                 let resolved = false;
-                this.connect();
-                this.once('health_change', (state) => {
+                let timer = null;
+
+                const onHealthChange = (state) => {
                     /* istanbul ignore else: too hard to edge case this with unit tests and docker */
                     // If the callback has not been fired, then we're ready now!
                     if (state && !resolved) {
                         resolved = true;
+                        clearTimeout(timer);
+                        this.removeListener('health_change', onHealthChange);
                         resolve();
                     }
-                });
+                };
+
+                this.connect();
+                this.on('health_change', onHealthChange);
 
                 /* istanbul ignore if: too hard to edge case this with unit tests and docker */
                 // If the connection is already established, the health_change might not flip, so callback now if we're already good
                 if (this.getHealthStatus()) {
                     resolved = true;
-                    resolve();
+                    this.removeListener('health_change', onHealthChange);
+                    return resolve();
+                }
+
+                // Give up if the connections take too long
+                if (this.config.connectTimeout > 0) {
+                    timer = setTimeout(() => {
+                        if (!resolved) {
+                            resolved = true;
+                            this.removeListener('health_change', onHealthChange);
+
+                            const pending = Object.keys(this._schemas)
+                                .filter((schemaName) => this._isSchemaRequired(schemaName) && this._dbStates[schemaName] !== true);
+
+                            reject(new Error('MongoService failed to connect within ' + this.config.connectTimeout + 'ms. Schemas not ready: ' + pending.join(', ')));
+                        }
+                    }, this.config.connectTimeout);
                 }
             });
         });
@@ -63,181 +110,1608 @@ class MongoService extends EventEmitter {
 
         // Get the schemas
         const schemas = this.config.schemas || [];
-        this._expectedConnectionReadies = schemas.length;
+        // Only required schemas gate the service's health, optional ones connect in the background
+        this._expectedConnectionReadies = schemas.filter((schema) => !schema || schema.required !== false).length;
+        this._closing = false;
 
-        // Warn if the service was loaded with no schemas
+        // Warn (or fail if required) if the service was loaded with no schemas
         if (schemas.length === 0) {
+            if (this.config.requireSchemas) {
+                throw new Error('MongoService has no schemas defined!');
+            }
             this.app.log('Warning: no MongoService schemas defined!');
-            this.app.log('App will hang since no connection to Mongo will be made...');
         }
 
         schemas.forEach((schema) => {
-            if (typeof schema !== 'object' ||
-                !schema.name ||
-                !schema.path ||
-                !schema.uri) {
-                throw new Error('MongoService schema definition must be an object with keys: name, path and uri.');
-            } else {
-                this._connectSchema(schema);
-            }
+            this._validateSchema(schema);
+            this._connectSchema(schema);
         });
 
         return this;
     }
 
     /**
-     * Gets the current health situation of all connections
-     * @returns {boolean}
+     * Closes all schema connections and cancels any pending reconnection attempts.
+     * okanjo-app has no shutdown hook for services, so the app must call this when shutting down.
+     * @returns {Promise<void>}
      */
-    getHealthStatus() {
-        let readies = 0;
+    async close() {
 
-        // Check each state and return false if at least one is unhealthy
-        Object.keys(this._dbStates).forEach((schemaName) => {
-            /* istanbul ignore else: would require edge casing docker connection states */
-            // Check the health of the schema
-            if (this._dbStates[schemaName]) {
-                readies++;
+        // Prevent error handlers from scheduling new reconnection attempts while we shut down
+        this._closing = true;
+
+        // Cancel pending reconnection attempts
+        [this._reconnectTimers, this._readReconnectTimers].forEach((timers) => {
+            Object.keys(timers).forEach((schemaName) => {
+                clearTimeout(timers[schemaName]);
+                delete timers[schemaName];
+            });
+        });
+
+        // Stop health probes
+        Object.keys(this._pingTimers).forEach((schemaName) => this._stopPing(schemaName));
+
+        // Stop change streams, keeping them registered in case we connect again
+        await Promise.all(Object.keys(this._watches).map((name) => this._watches[name].stop()));
+
+        // Tenant connections close with their schema connection
+        this._tenantCaches = {};
+
+        // Drain and close each connection
+        await Promise.all(Object.keys(this._dbConnections).map(async (schemaName) => {
+            await this._closeConnection(schemaName);
+            this._setSchemaState(schemaName, false);
+        }));
+
+        // Notify that the service is no longer healthy
+        this.emit('health_change', false);
+    }
+
+    /**
+     * Alias of close()
+     * @returns {Promise<void>}
+     */
+    disconnect() {
+        return this.close();
+    }
+
+    /**
+     * Connects a new schema at runtime
+     * @param {object} schema - Schema configuration, same as an entry of config.schemas
+     * @returns {Promise<*>} – Resolves with the schema's models when the connection opens
+     */
+    addSchema(schema) {
+        return new Promise((resolve, reject) => {
+            this._validateSchema(schema);
+
+            const schemaName = schema.name;
+            if (this._schemas[schemaName]) {
+                throw new Error('MongoService schema already exists: ' + schemaName);
+            }
+            if (schemaName in this) {
+                throw new Error('MongoService schema name conflicts with a MongoService property: ' + schemaName);
+            }
+
+            let timer = null;
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.removeListener('schema_health_change', onChange);
+                this.removeListener('reconnect_failed', onFailed);
+                this.removeListener('schema_removed', onRemoved);
+            };
+            const onChange = (name, state) => {
+                if (name === schemaName && state) {
+                    cleanup();
+                    resolve(this[schemaName]);
+                }
+            };
+            const onFailed = (name, attempts, err) => {
+                if (name === schemaName) {
+                    cleanup();
+                    reject(err);
+                }
+            };
+            const onRemoved = (name) => {
+                if (name === schemaName) {
+                    cleanup();
+                    reject(new Error('MongoService schema was removed before it connected: ' + schemaName));
+                }
+            };
+
+            this.on('schema_health_change', onChange);
+            this.on('reconnect_failed', onFailed);
+            this.on('schema_removed', onRemoved);
+
+            // Required schemas need to be ready for the service to be healthy
+            const currentState = this.getHealthStatus();
+            if (schema.required !== false) this._expectedConnectionReadies++;
+            const newState = this.getHealthStatus();
+
+            if (newState !== currentState) {
+                process.nextTick(this.emit.bind(this, 'health_change', newState));
+            }
+
+            this._connectSchema(schema);
+
+            // Give up if the connection takes too long, removing the schema so it can be added again
+            if (this.config.connectTimeout > 0) {
+                timer = setTimeout(() => {
+                    cleanup();
+                    this.removeSchema(schemaName).then(() => {
+                        reject(new Error('MongoService schema failed to connect within ' + this.config.connectTimeout + 'ms: ' + schemaName));
+                    }, reject);
+                }, this.config.connectTimeout);
             }
         });
+    }
 
-        // Report unhealthy if not all the expected connections are ready yet
-        return readies === this._expectedConnectionReadies;
+    /**
+     * Disconnects and removes a schema at runtime
+     * @param {string} schemaName - The schema name
+     * @returns {Promise<void>}
+     */
+    async removeSchema(schemaName) {
+        const schema = this._schemas[schemaName];
+        if (!schema) {
+            throw new Error('MongoService schema does not exist: ' + schemaName);
+        }
+
+        const currentState = this.getHealthStatus();
+        const wasHealthy = this._dbStates[schemaName] === true;
+
+        // Forget the definition and state first, so connection events fired while closing are ignored,
+        // and the service's health no longer depends on the schema
+        delete this._schemas[schemaName];
+        delete this._dbStates[schemaName];
+        if (schema.required !== false) this._expectedConnectionReadies--;
+        clearTimeout(this._reconnectTimers[schemaName]);
+        delete this._reconnectTimers[schemaName];
+        clearTimeout(this._readReconnectTimers[schemaName]);
+        delete this._readReconnectTimers[schemaName];
+        this._stopPing(schemaName);
+
+        // Change streams of the schema can't be resumed anymore
+        await Promise.all(Object.keys(this._watches)
+            .filter((name) => this._watches[name].schema === schemaName)
+            .map((name) => this._closeWatch(this._watches[name])));
+
+        await this._closeConnection(schemaName);
+
+        // Clean up the rest of the schema state
+        delete this[schemaName];
+        delete this.models[schemaName];
+        delete this.readModels[schemaName];
+        delete this._dbStateChanges[schemaName];
+        delete this._dbErrors[schemaName];
+        delete this._reconnectAttempts[schemaName];
+        delete this._readReconnectAttempts[schemaName];
+        delete this._pingFailures[schemaName];
+        delete this._pingLatencies[schemaName];
+        delete this._tenantCaches[schemaName];
+
+        const newState = this.getHealthStatus();
+
+        process.nextTick(this.emit.bind(this, 'schema_removed', schemaName));
+        if (wasHealthy) {
+            process.nextTick(this.emit.bind(this, 'schema_health_change', schemaName, false));
+        }
+        if (newState !== currentState) {
+            process.nextTick(this.emit.bind(this, 'health_change', newState));
+        }
     }
 
     /**
-     * Converts an identifier into an ObjectId instance
-     * @param mixed_id
-     * @return {*}
+     * Gets the models of a tenant schema, bound to the tenant's database on the schema's connection
+     * @param {string} schemaName - The name of a schema configured with `tenants`
+     * @param {string|number} tenantId - The tenant identifier
+     * @returns {*} – The schema's models for the tenant
      */
-    getObjectId(mixed_id) {
+    getTenantModels(schemaName, tenantId) {
+        const schema = this._schemas[schemaName];
+        const connection = this._dbConnections[schemaName];
+
+        if (!schema || !connection) {
+            throw new Error('MongoService schema does not exist: ' + schemaName);
+        }
+        if (!schema.tenants) {
+            throw new Error('MongoService schema is not configured for tenants: ' + schemaName);
+        }
+        if ((typeof tenantId !== "string" && typeof tenantId !== "number") || !MongoService._tenantIdPattern.test(String(tenantId))) {
+            throw new Error('MongoService tenant id is not valid: ' + tenantId);
+        }
+
+        const options = Object.assign({ prefix: schemaName + '_' }, MongoService.defaultTenantOptions, schema.tenants);
+        const cache = this._tenantCaches[schemaName] = this._tenantCaches[schemaName] || new Map();
+        const key = String(tenantId);
+
+        // Cache hit - bump it to the most recently used
+        let entry = cache.get(key);
+        if (entry) {
+            cache.delete(key);
+            cache.set(key, entry);
+            return entry.models;
+        }
+
+        // Bind the schema to the tenant's database, sharing the schema's connection pool
+        const databaseName = options.getDatabaseName ? options.getDatabaseName(key, schema) : options.prefix + key;
+        const tenantConnection = connection.useDb(databaseName);
+        entry = {
+            connection: tenantConnection,
+            models: require(schema.path)(tenantConnection, this.app)
+        };
+        cache.set(key, entry);
+
+        // Evict the least recently used tenants
+        while (cache.size > options.maxCached) {
+            const oldestKey = cache.keys().next().value;
+            const oldest = cache.get(oldestKey);
+            cache.delete(oldestKey);
+
+            // The base connection keeps a reference to each related db to notify state changes, so let it go
+            const index = connection.otherDbs.indexOf(oldest.connection);
+            if (index >= 0) connection.otherDbs.splice(index, 1);
+        }
+
+        return entry.models;
+    }
+
+    /**
+     * Gets the tenant's version of the given model
+     * @param {Model} model - A model of a schema configured with `tenants`
+     * @param {string|number} tenantId - The tenant identifier
+     * @returns {Model}
+     */
+    getTenantModel(model, tenantId) {
+        const schemaName = this.getSchemaNameOfModel(model);
+        if (!schemaName) {
+            throw new Error('MongoService model does not belong to a connected schema: ' + model.modelName);
+        }
+
+        return MongoService._findModel(this.getTenantModels(schemaName, tenantId), model.modelName);
+    }
+
+    /**
+     * Gets the version of the given model to use for reads. If the model's schema is not configured with `read`, the model is returned as-is.
+     * @param {Model} model - A schema model
+     * @returns {Model}
+     */
+    getReadModel(model) {
+        const schemaName = this.getSchemaNameOfModel(model);
+        const readConnection = schemaName && this._readConnections[schemaName];
+
+        // Fall back to the primary connection while the read connection is down
+        if (!readConnection || readConnection.readyState !== Mongoose.STATES.connected) return model;
+
+        return MongoService._findModel(this.readModels[schemaName], model.modelName) || model;
+    }
+
+    /**
+     * Gets the connection of the given schema, for working with collections that have no model
+     * @param {string} schemaName - The schema name
+     * @returns {Connection} – The Mongoose connection. Use `connection.db` for the driver database.
+     */
+    getConnection(schemaName) {
+        const connection = this._dbConnections[schemaName];
+        if (!this._schemas[schemaName]) {
+            throw new Error('MongoService schema does not exist: ' + schemaName);
+        } else if (!connection || !connection.db || !this._dbStates[schemaName]) {
+            throw new Error('MongoService schema is not connected: ' + schemaName);
+        }
+        return connection;
+    }
+
+    /**
+     * Gets the driver collection of a model, for working with documents as they are stored, without the model casting them
+     * @param {string} schemaName - The schema name
+     * @param {string} modelName - The model key (e.g. `Doodad`) or Mongoose model name
+     * @returns {Collection}
+     */
+    getCollection(schemaName, modelName) {
+        const model = this._getModel(schemaName, modelName);
+        return this.getConnection(schemaName).db.collection(model.collection.collectionName);
+    }
+
+    /**
+     * Gets the name of the schema the given model was bound to
+     * @param {Model} model - A schema model
+     * @returns {string|undefined} – Undefined if the model does not belong to a schema of this service
+     */
+    getSchemaNameOfModel(model) {
+        return Object.keys(this._dbConnections).find((name) => this._dbConnections[name] === model.db);
+    }
+
+    /**
+     * Gets a GridFS file bucket on the given schema's connection. The schema does not need to be connected until the bucket is used.
+     * @param {string} schemaName - The schema name
+     * @param {string} [bucketName] - The bucket name. Defaults to `fs`
+     * @param {*} [options] - Bucket options, e.g. prefix, chunkSizeBytes
+     * @returns {FileBucket}
+     */
+    getBucket(schemaName, bucketName, options) {
+        if (!this._schemas[schemaName]) {
+            throw new Error('MongoService schema does not exist: ' + schemaName);
+        }
+        return new FileBucket(this, schemaName, bucketName, options);
+    }
+
+    /**
+     * Compares the indexes declared on each schema model against the indexes that exist in the database
+     * @param {string} [schemaName] - The schema to compare. Defaults to all schemas.
+     * @returns {Promise<Array>} – The missing, extra and mismatched indexes of each model
+     */
+    async diffIndexes(schemaName) {
+        const schemaNames = schemaName === undefined ? Object.keys(this._schemas) : [schemaName];
+        schemaNames.forEach((name) => {
+            if (!this._schemas[name]) {
+                throw new Error('MongoService schema does not exist: ' + name);
+            }
+        });
+
+        const diffs = [];
+        for (const name of schemaNames) {
+            for (const model of MongoService._getIndexedModels(this.models[name])) {
+                diffs.push(await this._diffModelIndexes(name, model));
+            }
+        }
+        return diffs;
+    }
+
+    /**
+     * Creates missing indexes and rebuilds mismatched indexes, so the database matches the declared indexes
+     * @param {{[schemaName]:string, [dryRun]:boolean, [dropExtra]:boolean}} [options] - Sync options
+     * @returns {Promise<{dryRun:boolean, created:Array, dropped:Array, skipped:Array}>} – Summary of the changes
+     */
+    async syncIndexes(options) {
+        const { schemaName, dryRun = false, dropExtra = false } = options || {};
+        const diffs = await this.diffIndexes(schemaName);
+        const summary = { dryRun, created: [], dropped: [], skipped: [] };
+
+        for (const diff of diffs) {
+            const collection = MongoService._findModel(this.models[diff.schema], diff.model).collection;
+            const target = { schema: diff.schema, model: diff.model, collection: diff.collection };
+
+            // Indexes can't be modified, so mismatched indexes are rebuilt with the declared options
+            for (const index of diff.mismatched) {
+                if (!dryRun) {
+                    await collection.dropIndex(index.name);
+                    await collection.createIndex(index.key, index.options);
+                }
+                summary.dropped.push(Object.assign({}, target, { name: index.name, key: index.key }));
+                summary.created.push(Object.assign({}, target, { key: index.key, options: index.options }));
+            }
+
+            for (const index of diff.missing) {
+                if (!dryRun) await collection.createIndex(index.key, index.options);
+                summary.created.push(Object.assign({}, target, { key: index.key, options: index.options }));
+            }
+
+            // Only drop indexes that were not declared when asked to, since they may have been added by hand for good reason
+            for (const index of diff.extra) {
+                if (dropExtra) {
+                    if (!dryRun) await collection.dropIndex(index.name);
+                    summary.dropped.push(Object.assign({}, target, { name: index.name, key: index.key }));
+                } else {
+                    summary.skipped.push(Object.assign({}, target, { name: index.name, key: index.key }));
+                }
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Applies pending migrations of each schema configured with `migrations`
+     * @param {string} [schemaName] - The schema to migrate. Defaults to all schemas with migrations.
+     * @returns {Promise<{schema:string, name:string}[]>} – The migrations that were applied
+     */
+    async migrate(schemaName) {
+        const applied = [];
+
+        for (const name of this._getMigrationSchemaNames(schemaName)) {
+            applied.push(...await this._getMigrationRunner(name).migrate());
+        }
+
+        return applied;
+    }
+
+    /**
+     * Reverts the most recently applied migrations of each schema configured with `migrations`
+     * @param {number} [steps] - How many migrations to revert per schema. Default is 1.
+     * @param {string} [schemaName] - The schema to roll back. Defaults to all schemas with migrations.
+     * @returns {Promise<{schema:string, name:string}[]>} – The migrations that were reverted
+     */
+    async rollback(steps, schemaName) {
+        steps = steps === undefined ? 1 : steps;
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error('MongoService rollback steps must be a positive integer: ' + steps);
+        }
+
+        const reverted = [];
+
+        for (const name of this._getMigrationSchemaNames(schemaName)) {
+            reverted.push(...await this._getMigrationRunner(name).rollback(steps));
+        }
+
+        return reverted;
+    }
+
+    /**
+     * Gets the migrations of each schema configured with `migrations`, and whether they were applied
+     * @param {string} [schemaName] - The schema to check. Defaults to all schemas with migrations.
+     * @returns {Promise<{schema:string, name:string, applied:boolean, appliedAt:Date|null}[]>}
+     */
+    async status(schemaName) {
+        const status = [];
+
+        for (const name of this._getMigrationSchemaNames(schemaName)) {
+            status.push(...await this._getMigrationRunner(name).status());
+        }
+
+        return status;
+    }
+
+    /**
+     * Inserts fixture documents through the schema models. Fixtures are keyed by `schemaName.ModelName`, then by fixture name.
+     * String values like `@name` are replaced by the `_id` of the fixture with that name.
+     * @param {string|object|Array<string|object>} fixtures - JSON or JS fixture file path(s), or fixture objects
+     * @returns {Promise<object>} – The inserted documents, by fixture name
+     */
+    async loadFixtures(fixtures) {
+        const entries = [];
+        const ids = new Map();
+
+        // Give every fixture an id up front, so fixtures can reference each other regardless of order
+        for (const source of [].concat(fixtures)) {
+            const set = typeof source === "string" ? require(Path.resolve(source)) : source;
+            const data = typeof set === "function" ? await set(this.app) : set;
+
+            Object.keys(data).forEach((key) => {
+                const [schemaName, modelName] = key.split('.');
+                const model = this.models[schemaName] && this.models[schemaName][modelName];
+                if (!model) {
+                    throw new Error('MongoService fixture model does not exist: ' + key);
+                }
+
+                Object.keys(data[key]).forEach((name) => {
+                    if (ids.has(name)) {
+                        throw new Error('MongoService fixture name is not unique: ' + name);
+                    }
+                    const doc = data[key][name];
+                    ids.set(name, doc._id !== undefined ? doc._id : new ObjectId());
+                    entries.push({ model, name, doc });
+                });
+            });
+        }
+
+        // Resolve everything before inserting anything, so broken fixtures don't leave half a data set behind
+        entries.forEach((entry) => {
+            entry.doc = Object.assign(MongoService._resolveFixtureReferences(entry.doc, ids), { _id: ids.get(entry.name) });
+        });
+
+        const docs = {};
+        for (const entry of entries) {
+            docs[entry.name] = await entry.model.create(entry.doc);
+        }
+        return docs;
+    }
+
+    /**
+     * Deletes all documents from every collection of the given schema. Indexes are left intact.
+     * @param {string} schemaName - The schema name
+     * @returns {Promise<void>}
+     */
+    async resetSchema(schemaName) {
+        if (!this._schemas[schemaName]) {
+            throw new Error('MongoService schema does not exist: ' + schemaName);
+        }
+
+        for (const model of MongoService._getIndexedModels(this.models[schemaName])) {
+            await model.deleteMany({});
+        }
+    }
+
+    /**
+     * Runs the given function in a transaction on the given schema's connection.
+     * The whole function is retried on transient transaction errors, and the commit is retried when its result is unknown.
+     * Since the function may run more than once, pass the session to every operation and avoid other side effects.
+     * @param {string} schemaName - The schema name
+     * @param {function(session:ClientSession, attempt:number):Promise<*>} fn - Does the work, passing the session to each operation (e.g. CrudService `session` option)
+     * @param {*} [options] - Transaction options, e.g. readConcern, writeConcern
+     * @return {Promise<*>} – Resolves with the result of the function once committed
+     */
+    async withTransaction(schemaName, fn, options) {
+        const connection = this.getConnection(schemaName);
+        const policy = this._getTransactionPolicy();
+        const session = await connection.startSession();
+
         try {
-            if (mixed_id instanceof ObjectId) {
-                return mixed_id;
-            } else {
-                const comparableId = this.getComparableId(mixed_id);
-                if (ObjectId.isValid(comparableId)) {
-                    return new ObjectId(comparableId);
+            for (let attempt = 1; ; attempt++) {
+                session.startTransaction(options);
+                try {
+                    const result = await fn(session, attempt);
+                    await this._commitTransaction(session, policy);
+                    return result;
+                } catch (err) {
+                    // Abort ignores errors, and there's nothing to abort if the commit was attempted
+                    if (session.inTransaction()) await session.abortTransaction();
+
+                    if (attempt >= policy.maxAttempts || !MongoService._hasErrorLabel(err, MongoService.transactionErrorLabels.transient)) {
+                        throw err;
+                    }
+                    await new Promise((resolve) => setTimeout(resolve, this.getBackoffDelay(policy, attempt)));
                 }
             }
-        } catch(e) {
-            /* istanbul ignore next: the isValid check should prevent any exceptions but just be really safe since this has been unstable in the past */
-            this.app.report('Warning: could not convert value to ObjectId', mixed_id, e);
+        } finally {
+            await session.endSession();
         }
-        return null;
     }
 
     /**
-     * Converts an identifier to a comparable, hex-string version of an ObjectId
-     * @param {*} mixed_id – An ObjectId, base-58 encoded id, or a plain old hex string
-     * @return {string|null}
+     * Opens a change stream on a model's collection. Changes are given to the handler in the batches the server returns them.
+     * The resume token is saved after each handled batch, and the stream resumes from it when the schema reconnects, or when the
+     * service starts again, so changes are handled at least once. If the handler fails, the batch is handled again after a delay.
+     * @param {string} schemaName - The schema name
+     * @param {string} modelName - The model key (e.g. `Doodad`) or Mongoose model name
+     * @param {Array} [pipeline] - Aggregation pipeline to filter or transform the change events
+     * @param {function(changes:Array):Promise} handler - Handles a batch of change events
+     * @param {*} [options] - Change stream options, e.g. fullDocument
+     * @param {string} [options.name] - Unique name of the subscription, which resume tokens are saved under. Defaults to `schemaName.modelName`
+     * @return {Promise<{name:string, close:function():Promise}>} – Resolves with the subscription once the stream starts, or right away if the schema is not connected yet
      */
-    getComparableId(mixed_id) {
+    async watch(schemaName, modelName, pipeline, handler, options) {
+        if (typeof pipeline === "function") {
+            options = handler;
+            handler = pipeline;
+            pipeline = [];
+        }
 
-        // Convert ObjectIds to strings for comparison
-        if (mixed_id instanceof ObjectId) {
-            return mixed_id.toString();
+        const model = this._getModel(schemaName, modelName);
+
+        const { name = schemaName + '.' + modelName, ...streamOptions } = options || {};
+        if (this._watches[name]) {
+            throw new Error('MongoService watch name is already in use: ' + name);
         }
 
-        // Try to match a known prefix
-        if (typeof mixed_id === "string") {
+        const watch = this._watches[name] = new ChangeStreamWatch(this, name, schemaName, model.collection.collectionName, pipeline, handler, streamOptions, this._getWatchPolicy());
 
-            // Check if the key matches the underscore style
-            const match = MongoService._identifierParser.exec(mixed_id);
-            let prefix;
-            if (match !== null) {
+        await watch.start();
+        return { name, close: () => this._closeWatch(watch) };
+    }
 
-                // match[1] contains the object prefix
-                // match[2] contains the meta prefix (e.g. environment)
-                // match[3] contains the actual identifier
-                prefix = match[1];
+    /**
+     * Streams the documents of a model's collection to the given stream, one JSON document per line.
+     * The `ejson` format is canonical Extended JSON, which keeps types like ObjectId, Date and Double, so it imports back as it was.
+     * The `ndjson` format is plain JSON, for use outside of MongoDB. An `export_progress` event is emitted after each batch is written.
+     * @param {string} schemaName - The schema name
+     * @param {string} modelName - The model key (e.g. `Doodad`) or Mongoose model name
+     * @param {*} [criteria] - Query of the documents to export. Defaults to all documents
+     * @param {Writable} writable - Stream to write to
+     * @param {{[format]:string, [batchSize]:number, [projection]:*, [sort]:*, [end]:boolean}} [options] - Export options. The stream is ended when done, unless `end` is false
+     * @return {Promise<{schema:string, collection:string, exported:number}>} – Resolves with the totals once written
+     */
+    async exportCollection(schemaName, modelName, criteria, writable, options) {
+        return await this._getCollectionTransfer(schemaName, modelName).export(criteria, writable, options);
+    }
 
-                // If there exists a registered prefix in app, then decode it
-                if (Object.keys(this.prefixes).find((key) => this.prefixes[key] === prefix)) {
-                    return BaseId.base58.decode(match[3]).toLowerCase();
+    /**
+     * Writes the documents read from the given stream, one JSON document per line, to a model's collection.
+     * Documents are written in batches, and an `import_progress` event is emitted after each batch.
+     * In `insert` mode, importing a document that already exists fails. In `upsert` mode, existing documents are replaced.
+     * In `skip` mode, existing documents are left as they are.
+     * @param {string} schemaName - The schema name
+     * @param {string} modelName - The model key (e.g. `Doodad`) or Mongoose model name
+     * @param {Readable} readable - Stream to read from
+     * @param {{[format]:string, [batchSize]:number, [mode]:string}} [options] - Import options
+     * @return {Promise<{schema:string, collection:string, read:number, inserted:number, updated:number, skipped:number}>} – Resolves with the totals once written
+     */
+    async importCollection(schemaName, modelName, readable, options) {
+        return await this._getCollectionTransfer(schemaName, modelName).import(readable, options);
+    }
+
+    /**
+     * Gets a transfer of a model's collection
+     * @param {string} schemaName - The schema name
+     * @param {string} modelName - The model key (e.g. `Doodad`) or Mongoose model name
+     * @return {CollectionTransfer}
+     * @private
+     */
+    _getCollectionTransfer(schemaName, modelName) {
+        return new CollectionTransfer(this, schemaName, this.getCollection(schemaName, modelName));
+    }
+
+    /**
+     * Gets the command metrics collected from all schema connections
+     * @param {string} [format] – `json` (default) or `prometheus` for Prometheus exposition-format text
+     * @returns {{schema:string, collection:string, command:string, count:number, errors:number, duration:{sum:number, buckets:*}}[]|string}
+     */
+    getMetrics(format) {
+        const metrics = Object.keys(this._metrics).sort().map((key) => {
+            const metric = this._metrics[key];
+
+            // Accumulate buckets, Prometheus style
+            let total = 0;
+            const buckets = {};
+            MongoService.metricsBuckets.forEach((le, i) => {
+                total += metric.buckets[i];
+                buckets[le] = total;
+            });
+            buckets['+Inf'] = metric.count;
+
+            return {
+                schema: metric.schema,
+                collection: metric.collection,
+                command: metric.command,
+                count: metric.count,
+                errors: metric.errors,
+                duration: {
+                    sum: metric.duration,
+                    buckets
                 }
+            };
+        });
 
-            } else {
+        if (format === 'prometheus') {
+            return MongoService._formatPrometheusMetrics(metrics);
+        } else if (format === undefined || format === 'json') {
+            return metrics;
+        } else {
+            throw new Error('Unknown metrics format: ' + format);
+        }
+    }
 
-                // Try to handle backwards compatibility of old ID format (two letter prefix)
-                prefix = mixed_id.length >= 2 ? mixed_id.substr(0, 2) : '';
-                if (prefix !== '') {
+    /**
+     * Clears all collected command metrics
+     */
+    resetMetrics() {
+        this._metrics = {};
+    }
+
+    /**
+     * Reports the given operation if it took longer than the configured slow query threshold
+     * @param {Model} model - The model the operation ran on
+     * @param {string} method - The name of the method that ran the operation, e.g. `_find`
+     * @param {*} query - The query or document the operation was given. Only its shape is reported.
+     * @param {number} duration - How long the operation took, in milliseconds
+     * @return {boolean} – Whether the operation was reported
+     */
+    reportSlowOperation(model, method, query, duration) {
+        const policy = this._getSlowQueryPolicy();
+        if (!(policy.threshold > 0) || duration < policy.threshold) return false;
+
+        // Start a new rate limit window when the last one expired
+        const window = this._slowQueryWindow;
+        const now = Date.now();
+        if (now - window.start >= policy.interval) {
+            window.start = now;
+            window.reported = 0;
+        }
+
+        // Don't flood the error reporting when everything is slow
+        if (window.reported >= policy.maxReports) {
+            window.suppressed++;
+            return false;
+        }
+        window.reported++;
+
+        const suppressed = window.suppressed;
+        window.suppressed = 0;
+
+        this.app.report('MongoDB slow operation: ' + model.modelName + '.' + method, {
+            schema: this.getSchemaNameOfModel(model),
+            collection: model.collection && model.collection.collectionName,
+            model: model.modelName,
+            method,
+            shape: MongoService.getQueryShape(query),
+            duration,
+            threshold: policy.threshold,
+            suppressed
+        });
+        return true;
+    }
+
+    /**
+     * Gets the current health situation of all connections
+     * @returns {boolean}
+     */
+    getHealthStatus() {
+        let readies = 0;
+
+        // Check each state and return false if at least one is unhealthy
+        Object.keys(this._dbStates).forEach((schemaName) => {
+            /* istanbul ignore else: would require edge casing docker connection states */
+            // Check the health of the schema, optional schemas don't count
+            if (this._dbStates[schemaName] && this._isSchemaRequired(schemaName)) {
+                readies++;
+            }
+        });
+
+        // Report unhealthy if not all the expected connections are ready yet
+        return readies === this._expectedConnectionReadies;
+    }
+
+    /**
+     * Gets the current health situation of each schema connection
+     * @returns {{name:string, healthy:boolean, readyState:number, lastStateChange:Date|null, lastError:string|null, reconnectAttempts:number, host:string|null}[]}
+     */
+    getHealthReport() {
+        return Object.keys(this._schemas).map((schemaName) => {
+            const connection = this._dbConnections[schemaName];
+            const err = this._dbErrors[schemaName];
+            return {
+                name: schemaName,
+                required: this._isSchemaRequired(schemaName),
+                healthy: this._dbStates[schemaName] === true,
+                readyState: connection ? connection.readyState : Mongoose.STATES.disconnected,
+                lastStateChange: this._dbStateChanges[schemaName] || null,
+                lastError: err ? err.message : null,
+                reconnectAttempts: this._reconnectAttempts[schemaName] || 0,
+                host: MongoService.getRedactedHost(this._schemas[schemaName].uri),
+                ping: this.getPingStats(schemaName)
+            };
+        });
+    }
+
+    /**
+     * Returns whether the given schema is connected and ready to use. Useful for degrading gracefully when optional schemas are down.
+     * @param {string} schemaName - The schema name
+     * @returns {boolean}
+     */
+    isSchemaAvailable(schemaName) {
+        return this._dbStates[schemaName] === true;
+    }
+
+    /**
+     * Gets the ping probe latency statistics of the given schema
+     * @param {string} schemaName - The schema name
+     * @returns {{samples:number, p50:number|null, p95:number|null, max:number|null, failures:number}|null} – Null if the schema is not probed
+     */
+    getPingStats(schemaName) {
+        const schema = this._schemas[schemaName];
+        if (!schema || !schema.ping) return null;
+
+        const sorted = (this._pingLatencies[schemaName] || []).slice().sort((a, b) => a - b);
+        const percentile = (p) => sorted.length ? sorted[Math.ceil(p / 100 * sorted.length) - 1] : null;
+
+        return {
+            samples: sorted.length,
+            p50: percentile(50),
+            p95: percentile(95),
+            max: sorted.length ? sorted[sorted.length - 1] : null,
+            failures: this._pingFailures[schemaName] || 0
+        };
+    }
+
+    //noinspection JSMethodCanBeStatic
+    /**
+     * Calculates how long to wait before the given attempt of a back off policy, like the reconnection policy
+     * @param {{initialDelay:number, multiplier:number, maxDelay:number, jitter:number}} policy - Back off policy
+     * @param {number} attempt - The attempt number, starting at 1
+     * @return {number} - Delay in milliseconds
+     */
+    getBackoffDelay(policy, attempt) {
+        // Back off exponentially, up to the max delay
+        let delay = Math.min(policy.initialDelay * Math.pow(policy.multiplier, attempt - 1), policy.maxDelay);
+
+        // Randomly spread the delay by +/- the jitter ratio so workers don't stampede the server
+        if (policy.jitter > 0) {
+            delay += delay * policy.jitter * (Math.random() * 2 - 1);
+        }
+
+        return Math.max(0, Math.round(delay));
+    }
+
+    /**
+     * Converts an identifier into an ObjectId instance
+     * @param mixed_id
+     * @return {*}
+     */
+    getObjectId(mixed_id) {
+        try {
+            if (mixed_id instanceof ObjectId) {
+                return mixed_id;
+            } else {
+                const comparableId = this.getComparableId(mixed_id);
+                if (ObjectId.isValid(comparableId)) {
+                    return new ObjectId(comparableId);
+                }
+            }
+        } catch(e) {
+            /* istanbul ignore next: the isValid check should prevent any exceptions but just be really safe since this has been unstable in the past */
+            this.app.report('Warning: could not convert value to ObjectId', mixed_id, e);
+        }
+        return null;
+    }
+
+    /**
+     * Converts an identifier to a comparable, hex-string version of an ObjectId
+     * @param {*} mixed_id – An ObjectId, base-58 encoded id, or a plain old hex string
+     * @return {string|null}
+     */
+    getComparableId(mixed_id) {
+
+        // Convert ObjectIds to strings for comparison
+        if (mixed_id instanceof ObjectId) {
+            return mixed_id.toString();
+        }
+
+        // Try to match a known prefix
+        if (typeof mixed_id === "string") {
+
+            // Check if the key matches the underscore style
+            const match = MongoService._identifierParser.exec(mixed_id);
+            let prefix;
+            if (match !== null) {
+
+                // match[1] contains the object prefix
+                // match[2] contains the meta prefix (e.g. environment)
+                // match[3] contains the actual identifier
+                prefix = match[1];
+
+                // If there exists a registered prefix in app, then decode it
+                if (Object.keys(this.prefixes).find((key) => this.prefixes[key] === prefix)) {
+                    return BaseId.base58.decode(match[3]).toLowerCase();
+                }
+
+            } else {
+
+                // Try to handle backwards compatibility of old ID format (two letter prefix)
+                prefix = mixed_id.length >= 2 ? mixed_id.substr(0, 2) : '';
+                if (prefix !== '') {
+
+                    // If there exists a registered prefix in app, then decode it
+                    if (Object.keys(this.prefixAliases).find((key) => this.prefixAliases[key] === prefix)) {
+                        return BaseId.base58.decodeWithPrefix(mixed_id, prefix).toLowerCase();
+                    }
+                }
+            }
+        }
+
+        // Return as-is because no valid prefix detected, or value is not comparable
+        return mixed_id;
+    }
+
+    /**
+     * Compares the given ids for equality
+     * @param {*} a - Mixed id type
+     * @param {*} b - Mixed id type
+     * @return {boolean}
+     */
+    compareIds(a, b) {
+        return this.getComparableId(a) === this.getComparableId(b);
+    }
+
+    //noinspection JSMethodCanBeStatic
+    /**
+     * Returns whether the given object is a Mongoose model
+     * @param mixed
+     * @return {boolean}
+     */
+    isModel(mixed) {
+        return mixed.$isMongooseModelPrototype === true;
+    }
+
+    /**
+     * Returns the current environment to attach to an id prefix
+     * @return {*}
+     */
+    getEnvironmentIdPrefix() {
+        if (this.app.currentEnvironment === "default") {
+            return "local_";
+        } else if (this.app.currentEnvironment === "production") {
+            return "";
+        } else {
+            return this.app.currentEnvironment + "_";
+        }
+    }
+
+    /**
+     * Encodes an identifier for public consumption
+     * @param id
+     * @param prefix
+     * @return {String}
+     */
+    getPublicId(id, prefix) {
+        if (!prefix) {
+            this.app.report('Why would you not prefix a public id?', id, prefix);
+            prefix = "derp";
+        }
+        prefix += "_" + this.getEnvironmentIdPrefix();
+        return BaseId.base58.encodeWithPrefix(id, prefix);
+    }
+
+    /**
+     * Breaks a public id into its parts. Unlike getComparableId, ids that can't be decoded are rejected, with the reason
+     * set on the error (see MongoService.publicIdErrors), e.g. to respond with a precise validation error.
+     * @param {string} publicId - A public id, e.g. `dood_local_2dcagW31wsvM2hkoB`, or a legacy id with a two letter prefix, e.g. `DD2dcagW31wsvM2hkoB`
+     * @return {{type:string, prefix:string, environment:string|null, objectId:ObjectId, legacy:boolean}} – The `prefixes` key of the id, its prefix,
+     * the app environment it was made in (null for legacy ids), the decoded id, and whether it is a legacy id
+     */
+    parsePublicId(publicId) {
+        const fail = (reason, message) => {
+            throw Object.assign(new Error('MongoService public id ' + message + ': ' + publicId), { reason });
+        };
+
+        if (typeof publicId !== "string") {
+            fail(MongoService.publicIdErrors.malformed, 'is not a string');
+        }
+
+        const match = MongoService._identifierParser.exec(publicId);
+        let parsed, hex;
+        if (match !== null) {
+
+            // match[1] contains the object prefix, match[2] the environment, and match[3] the encoded id
+            if (!MongoService._base58Pattern.test(match[3])) fail(MongoService.publicIdErrors.malformed, 'is malformed');
+
+            const type = Object.keys(this.prefixes).find((key) => this.prefixes[key] === match[1]);
+            if (!type) fail(MongoService.publicIdErrors.unknownPrefix, 'prefix is not registered');
+
+            // Ids made in production have no environment, and local ids are made in the default environment
+            let environment = match[2].replace(/_$/, '');
+            if (environment === '') {
+                environment = 'production';
+            } else if (environment === 'local') {
+                environment = 'default';
+            }
+
+            parsed = { type, prefix: match[1], environment, legacy: false };
+            hex = BaseId.base58.decode(match[3]);
+
+        } else {
+
+            // Old ids have a two letter prefix and no environment
+            const legacyMatch = MongoService._legacyIdentifierParser.exec(publicId);
+            if (legacyMatch === null) fail(MongoService.publicIdErrors.malformed, 'is malformed');
+
+            const prefix = legacyMatch[1];
+
+            const type = Object.keys(this.prefixAliases).find((key) => this.prefixAliases[key] === prefix);
+            if (!type) fail(MongoService.publicIdErrors.unknownPrefix, 'prefix is not registered');
+
+            parsed = { type, prefix, environment: null, legacy: true };
+            hex = BaseId.base58.decodeWithPrefix(publicId, prefix);
+        }
+
+        // Anything in the base-58 alphabet decodes, but only 12 bytes make an ObjectId
+        if (typeof hex !== "string" || !/^[0-9a-f]{24}$/i.test(hex)) {
+            fail(MongoService.publicIdErrors.invalidObjectId, 'does not contain an ObjectId');
+        }
+
+        return {
+            type: parsed.type,
+            prefix: parsed.prefix,
+            environment: parsed.environment,
+            objectId: new ObjectId(hex.toLowerCase()),
+            legacy: parsed.legacy
+        };
+    }
+
+    /**
+     * Gets the collection name a command ran on, if any
+     * @param {{commandName:string, command:*}} event - Command started event
+     * @return {string|undefined}
+     * @private
+     */
+    static _getCommandCollection(event) {
+        // getMore names the cursor id, and the collection separately
+        if (event.commandName === 'getMore') {
+            return event.command && typeof event.command.collection === "string" ? event.command.collection : undefined;
+        }
+
+        const target = event.command && event.command[event.commandName];
+        return typeof target === "string" ? target : undefined;
+    }
+
+    /**
+     * Formats command metrics as Prometheus exposition-format text
+     * @param {*[]} metrics - Metrics, as returned by getMetrics()
+     * @return {string}
+     * @private
+     */
+    static _formatPrometheusMetrics(metrics) {
+        const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        const labels = (metric, extra) => '{' + Object.entries(Object.assign({
+            schema: metric.schema,
+            collection: metric.collection,
+            command: metric.command
+        }, extra)).map(([key, value]) => key + '="' + escape(value) + '"').join(',') + '}';
+
+        const lines = [
+            '# HELP mongo_commands_total Total number of MongoDB commands run.',
+            '# TYPE mongo_commands_total counter'
+        ];
+        metrics.forEach((metric) => lines.push('mongo_commands_total' + labels(metric) + ' ' + metric.count));
+
+        lines.push(
+            '# HELP mongo_command_errors_total Total number of MongoDB commands that failed.',
+            '# TYPE mongo_command_errors_total counter'
+        );
+        metrics.forEach((metric) => lines.push('mongo_command_errors_total' + labels(metric) + ' ' + metric.errors));
+
+        lines.push(
+            '# HELP mongo_command_duration_seconds MongoDB command duration in seconds.',
+            '# TYPE mongo_command_duration_seconds histogram'
+        );
+        metrics.forEach((metric) => {
+            Object.keys(metric.duration.buckets).forEach((le) => {
+                const bound = le === '+Inf' ? le : String(Number(le) / 1000);
+                lines.push('mongo_command_duration_seconds_bucket' + labels(metric, { le: bound }) + ' ' + metric.duration.buckets[le]);
+            });
+            lines.push('mongo_command_duration_seconds_sum' + labels(metric) + ' ' + (metric.duration.sum / 1000));
+            lines.push('mongo_command_duration_seconds_count' + labels(metric) + ' ' + metric.count);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Ensures the given connection options are usable, or throws if not
+     * @param {*} options - Connection options
+     * @param {string} schemaName - The schema name, for error messages
+     * @private
+     */
+    static _validateConnectionOptions(options, schemaName) {
+        if (options === undefined) return;
+
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            throw new Error('MongoService schema options must be an object. Schema: ' + schemaName);
+        }
+
+        const unsupported = Object.keys(options).filter((key) => MongoService.supportedConnectionOptions.indexOf(key) < 0);
+        if (unsupported.length > 0) {
+            throw new Error('MongoService schema options are not supported: ' + unsupported.join(', ') + '. Schema: ' + schemaName);
+        }
+    }
+
+    /**
+     * Finds the model with the given model name in a schema's models
+     * @param {*} models - Schema models, as returned by the schema module
+     * @param {string} modelName - The Mongoose model name
+     * @return {Model|undefined}
+     * @private
+     */
+    static _findModel(models, modelName) {
+        const key = Object.keys(models || {}).find((key) => models[key].modelName === modelName);
+        return key && models[key];
+    }
+
+    /**
+     * Replaces fixture references (`@name`) with the ids of the named fixtures. Use `@@` to start a string with a literal `@`.
+     * @param {*} value - Fixture document or value
+     * @param {Map<string, *>} ids - Fixture ids by name
+     * @return {*} – A copy of the value with references replaced
+     * @private
+     */
+    static _resolveFixtureReferences(value, ids) {
+        if (typeof value === "string" && value[0] === '@') {
+            if (value[1] === '@') return value.substr(1);
+
+            const name = value.substr(1);
+            if (!ids.has(name)) {
+                throw new Error('MongoService fixture reference does not exist: ' + value);
+            }
+            return ids.get(name);
+        } else if (Array.isArray(value)) {
+            return value.map((item) => MongoService._resolveFixtureReferences(item, ids));
+        } else if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+            const resolved = {};
+            Object.keys(value).forEach((key) => resolved[key] = MongoService._resolveFixtureReferences(value[key], ids));
+            return resolved;
+        }
+        return value;
+    }
+
+    /**
+     * Checks whether the given error carries a driver error label
+     * @param {Error} err - The error
+     * @param {string} label - The label, e.g. TransientTransactionError
+     * @return {boolean}
+     * @private
+     */
+    static _hasErrorLabel(err, label) {
+        if (!err) return false;
+        if (typeof err.hasErrorLabel === "function") return err.hasErrorLabel(label);
+        return Array.isArray(err.errorLabels) && err.errorLabels.indexOf(label) >= 0;
+    }
+
+    /**
+     * Gets the models that manage their own collection indexes, which excludes discriminators
+     * @param {*} models - Models of a schema
+     * @return {Model[]}
+     * @private
+     */
+    static _getIndexedModels(models) {
+        return Object.keys(models || {})
+            .map((key) => models[key])
+            .filter((model) => typeof model === "function" && model.prototype.$isMongooseModelPrototype && !model.baseModelName);
+    }
+
+    /**
+     * Gets the indexes declared on the model's schema, with the options mongoose would create them with
+     * @param {Model} model - Schema model
+     * @return {Array<[*, *]>} – Key and options of each index
+     * @private
+     */
+    static _getDeclaredIndexes(model) {
+        const collation = model.schema.options.collation;
+        return model.schema.indexes().map(([key, options]) => {
+            options = Object.assign({}, options);
+            delete options._autoIndex;
+
+            const isTextIndex = Object.keys(key).some((field) => key[field] === 'text');
+            if (collation && !options.collation && !isTextIndex) options.collation = collation;
+
+            return [key, options];
+        });
+    }
+
+    /**
+     * Gets the key of a declared index the way the server stores it. Text fields are stored as a single `_fts` key.
+     * @param {*} key - Declared index key
+     * @return {*}
+     * @private
+     */
+    static _getIndexKey(key) {
+        const stored = {};
+        Object.keys(key).forEach((field) => {
+            if (key[field] === 'text') {
+                stored._fts = 'text';
+                stored._ftsx = 1;
+            } else {
+                stored[field] = key[field];
+            }
+        });
+        return stored;
+    }
+
+    /**
+     * Gets the options of an existing index that are compared against declared indexes
+     * @param {*} index - Index, as returned by listIndexes
+     * @return {*}
+     * @private
+     */
+    static _getIndexOptions(index) {
+        const options = {};
+        MongoService.indexOptionKeys.forEach((key) => {
+            if (index[key] !== undefined) options[key] = index[key];
+        });
+        return options;
+    }
+
+    /**
+     * Returns whether the declared index options match the existing index
+     * @param {*} options - Declared index options
+     * @param {*} index - Index, as returned by listIndexes
+     * @return {boolean}
+     * @private
+     */
+    static _isIndexOptionsEqual(options, index) {
+        return MongoService.indexOptionKeys.every((key) => {
+            if (key === 'unique' || key === 'sparse') {
+                return !!options[key] === !!index[key];
+            } else if (key === 'collation' && options.collation && index.collation) {
+                // The server fills in the collation defaults, so only compare what was declared
+                return Object.keys(options.collation).every((prop) => options.collation[prop] === index.collation[prop]);
+            } else {
+                return JSON.stringify(options[key]) === JSON.stringify(index[key]);
+            }
+        });
+    }
+
+    /**
+     * Returns the host portion of a connection URI, without credentials, database or options
+     * @param {string} uri - MongoDB connection URI
+     * @return {string|null}
+     */
+    static getRedactedHost(uri) {
+        const match = /^mongodb(?:\+srv)?:\/\/(?:[^@/]*@)?([^/?]*)/i.exec(uri || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Gets the shape of a query, where every value is replaced by the name of its type.
+     * Arrays collapse to the distinct shapes of their elements.
+     * @param {*} value - Query, or any value
+     * @return {*}
+     */
+    static getQueryShape(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) {
+            const shapes = new Map();
+            value.forEach((item) => {
+                const shape = MongoService.getQueryShape(item);
+                shapes.set(JSON.stringify(shape), shape);
+            });
+            return Array.from(shapes.values());
+        }
+        if (value instanceof Date) return 'Date';
+        if (value instanceof RegExp) return 'RegExp';
+        if (Buffer.isBuffer(value)) return 'Buffer';
+        if (typeof value === "object") {
+            // BSON types (ObjectId, Decimal128, Long, etc)
+            if (value._bsontype) return value._bsontype === 'ObjectID' ? 'ObjectId' : value._bsontype;
+
+            const shape = {};
+            Object.keys(value).forEach((key) => shape[key] = MongoService.getQueryShape(value[key]));
+            return shape;
+        }
+        return typeof value;
+    }
+
+    /**
+     * Handles the event when a mongoose connection fully opens
+     * @param {string} schemaName – The schema name that opened
+     * @private
+     */
+    _onConnectionOpen(schemaName) {
+        /* istanbul ignore if: would require edge casing docker connection states */
+        // Ignore schemas that were removed
+        if (!this._schemas[schemaName]) return;
+
+        const currentState = this.getHealthStatus();
+
+        // Start the reconnection policy and probe failures over next time we lose the connection
+        this._reconnectAttempts[schemaName] = 0;
+        this._pingFailures[schemaName] = 0;
+
+        // Start actively probing the connection, if configured
+        this._startPing(schemaName);
+
+        this._setSchemaState(schemaName, true);
+
+        // (Re)start change streams from their last saved resume tokens
+        Object.keys(this._watches)
+            .filter((name) => this._watches[name].schema === schemaName)
+            .forEach((name) => this._watches[name].start());
+        const newState = this.getHealthStatus();
+
+        /* istanbul ignore else: out of scope to disconnect here */
+        if (newState !== currentState) {
+            process.nextTick(this.emit.bind(this, 'health_change', newState));
+        }
+    }
+
+    /**
+     * Gets a schema model by its key or Mongoose model name
+     * @param {string} schemaName - The schema name
+     * @param {string} modelName - The model key (e.g. `Doodad`) or Mongoose model name
+     * @returns {Model}
+     * @private
+     */
+    _getModel(schemaName, modelName) {
+        const models = this.models[schemaName];
+        if (!this._schemas[schemaName] || !models) {
+            throw new Error('MongoService schema does not exist: ' + schemaName);
+        }
+
+        const model = models[modelName] || MongoService._findModel(models, modelName);
+        if (!model) {
+            throw new Error('MongoService model does not exist: ' + schemaName + '.' + modelName);
+        }
+        return model;
+    }
+
+    /**
+     * Returns whether the given schema must be connected for the service to be healthy
+     * @param {string} schemaName - The schema name
+     * @returns {boolean}
+     * @private
+     */
+    _isSchemaRequired(schemaName) {
+        const schema = this._schemas[schemaName];
+        return !!schema && schema.required !== false;
+    }
+
+    /**
+     * Updates the health state of a single schema, notifying listeners when it changes
+     * @param {string} schemaName - The schema name
+     * @param {boolean} state - Whether the schema connection is healthy
+     * @param {Error} [err] - The error that caused the change, if any
+     * @private
+     */
+    _setSchemaState(schemaName, state, err) {
+        const currentState = this._dbStates[schemaName];
+
+        this._dbStates[schemaName] = state;
+        if (err) this._dbErrors[schemaName] = err;
+
+        if (state !== currentState) {
+            this._dbStateChanges[schemaName] = new Date();
+            process.nextTick(this.emit.bind(this, 'schema_health_change', schemaName, state));
+        }
+    }
+
+    /**
+     * Gets the reconnection policy for the given schema
+     * @param {string} schemaName - The schema name
+     * @return {{initialDelay:number, multiplier:number, maxDelay:number, jitter:number, maxAttempts:number}}
+     * @private
+     */
+    _getReconnectPolicy(schemaName) {
+        const schema = this._schemas[schemaName] || {};
+        return Object.assign({}, MongoService.defaultReconnectPolicy, schema.reconnect);
+    }
+
+    /**
+     * Compares the declared indexes of a model against the indexes in its collection
+     * @param {string} schemaName - The schema name
+     * @param {Model} model - Schema model
+     * @return {Promise<{schema:string, model:string, collection:string, missing:Array, extra:Array, mismatched:Array}>}
+     * @private
+     */
+    async _diffModelIndexes(schemaName, model) {
+        const existing = (await this._listIndexes(model)).filter((index) => index.name !== '_id_');
+        const matched = new Set();
+        const diff = {
+            schema: schemaName,
+            model: model.modelName,
+            collection: model.collection.collectionName,
+            missing: [],
+            extra: [],
+            mismatched: []
+        };
+
+        MongoService._getDeclaredIndexes(model).forEach(([key, options]) => {
+            const storedKey = JSON.stringify(MongoService._getIndexKey(key));
+            const index = existing.find((index) => JSON.stringify(index.key) === storedKey);
+
+            if (!index) {
+                diff.missing.push({ key, options });
+            } else {
+                matched.add(index);
+                if (!MongoService._isIndexOptionsEqual(options, index)) {
+                    diff.mismatched.push({ name: index.name, key, options, existing: MongoService._getIndexOptions(index) });
+                }
+            }
+        });
+
+        existing
+            .filter((index) => !matched.has(index))
+            .forEach((index) => diff.extra.push({ name: index.name, key: index.key, options: MongoService._getIndexOptions(index) }));
+
+        return diff;
+    }
+
+    //noinspection JSMethodCanBeStatic
+    /**
+     * Lists the indexes of the model's collection
+     * @param {Model} model - Schema model
+     * @return {Promise<Array>}
+     * @private
+     */
+    async _listIndexes(model) {
+        try {
+            return await model.listIndexes();
+        } catch (err) {
+            // Collections are created on first write, so there may not be anything to list yet
+            if (err.codeName === 'NamespaceNotFound') return [];
+            throw err;
+        }
+    }
+
+    /**
+     * Gets the names of the schemas to migrate
+     * @param {string} [schemaName] - The schema to migrate, or undefined for all schemas with migrations
+     * @return {string[]}
+     * @private
+     */
+    _getMigrationSchemaNames(schemaName) {
+        if (schemaName === undefined) {
+            return Object.keys(this._schemas).filter((name) => this._schemas[name].migrations);
+        }
+
+        const schema = this._schemas[schemaName];
+        if (!schema) {
+            throw new Error('MongoService schema does not exist: ' + schemaName);
+        } else if (!schema.migrations) {
+            throw new Error('MongoService schema is not configured for migrations: ' + schemaName);
+        }
+        return [schemaName];
+    }
+
+    /**
+     * Gets the migration policy for the given schema
+     * @param {string} schemaName - The schema name
+     * @return {{path:string, collection:string, lockTimeout:number}}
+     * @private
+     */
+    _getMigrationPolicy(schemaName) {
+        const migrations = this._schemas[schemaName].migrations;
+        return Object.assign({}, MongoService.defaultMigrationPolicy, typeof migrations === "string" ? { path: migrations } : migrations);
+    }
+
+    /**
+     * Gets the migration runner of the given schema
+     * @param {string} schemaName - The schema name
+     * @return {MigrationRunner}
+     * @private
+     */
+    _getMigrationRunner(schemaName) {
+        return new MigrationRunner(this, schemaName, this._getMigrationPolicy(schemaName));
+    }
+
+    /**
+     * Closes a watch and forgets it
+     * @param {ChangeStreamWatch} watch - The watch
+     * @return {Promise}
+     * @private
+     */
+    async _closeWatch(watch) {
+        if (this._watches[watch.name] === watch) delete this._watches[watch.name];
+        await watch.close();
+    }
+
+    /**
+     * Gets the change stream watch policy
+     * @return {{collection:string, initialDelay:number, multiplier:number, maxDelay:number, jitter:number}}
+     * @private
+     */
+    _getWatchPolicy() {
+        return Object.assign({}, MongoService.defaultWatchPolicy, this.config.watch);
+    }
 
-                    // If there exists a registered prefix in app, then decode it
-                    if (Object.keys(this.prefixAliases).find((key) => this.prefixAliases[key] === prefix)) {
-                        return BaseId.base58.decodeWithPrefix(mixed_id, prefix).toLowerCase();
-                    }
+    /**
+     * Commits the session's transaction, retrying when the result of the commit is unknown
+     * @param {ClientSession} session - Session with a transaction in progress
+     * @param {{maxCommitAttempts:number}} policy - Transaction retry policy
+     * @return {Promise}
+     * @private
+     */
+    async _commitTransaction(session, policy) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await session.commitTransaction();
+            } catch (err) {
+                if (attempt >= policy.maxCommitAttempts || !MongoService._hasErrorLabel(err, MongoService.transactionErrorLabels.unknownCommitResult)) {
+                    throw err;
                 }
             }
         }
+    }
 
-        // Return as-is because no valid prefix detected, or value is not comparable
-        return mixed_id;
+    /**
+     * Gets the transaction retry policy
+     * @return {{maxAttempts:number, maxCommitAttempts:number, initialDelay:number, multiplier:number, maxDelay:number, jitter:number}}
+     * @private
+     */
+    _getTransactionPolicy() {
+        return Object.assign({}, MongoService.defaultTransactionPolicy, this.config.transactions);
     }
 
     /**
-     * Compares the given ids for equality
-     * @param {*} a - Mixed id type
-     * @param {*} b - Mixed id type
-     * @return {boolean}
+     * Gets the slow query reporting policy
+     * @return {{threshold:number, maxReports:number, interval:number}}
+     * @private
      */
-    compareIds(a, b) {
-        return this.getComparableId(a) === this.getComparableId(b);
+    _getSlowQueryPolicy() {
+        return Object.assign({}, MongoService.defaultSlowQueryPolicy, this.config.slowQuery);
     }
 
-    //noinspection JSMethodCanBeStatic
     /**
-     * Returns whether the given object is a Mongoose model
-     * @param mixed
-     * @return {boolean}
+     * Gets the ping probe policy for the given schema
+     * @param {string} schemaName - The schema name
+     * @return {{interval:number, timeout:number, maxFailures:number, sampleSize:number}}
+     * @private
      */
-    isModel(mixed) {
-        return mixed.$isMongooseModelPrototype === true;
+    _getPingPolicy(schemaName) {
+        const schema = this._schemas[schemaName] || {};
+        return Object.assign({}, MongoService.defaultPingPolicy, typeof schema.ping === "object" ? schema.ping : {});
     }
 
     /**
-     * Returns the current environment to attach to an id prefix
-     * @return {*}
+     * Schedules the next ping probe for the given schema, if the schema is configured to be probed
+     * @param {string} schemaName - The schema name
+     * @private
      */
-    getEnvironmentIdPrefix() {
-        if (this.app.currentEnvironment === "default") {
-            return "local_";
-        } else if (this.app.currentEnvironment === "production") {
-            return "";
-        } else {
-            return this.app.currentEnvironment + "_";
+    _startPing(schemaName) {
+        const schema = this._schemas[schemaName];
+        if (!schema || !schema.ping || this._pingTimers[schemaName] || this._closing) return;
+
+        const timer = setTimeout(async () => {
+            await this._ping(schemaName);
+
+            // Schedule the next probe, unless we were stopped in the meantime
+            if (this._pingTimers[schemaName] === timer) {
+                delete this._pingTimers[schemaName];
+                this._startPing(schemaName);
+            }
+        }, this._getPingPolicy(schemaName).interval);
+
+        this._pingTimers[schemaName] = timer;
+    }
+
+    /**
+     * Stops probing the given schema
+     * @param {string} schemaName - The schema name
+     * @private
+     */
+    _stopPing(schemaName) {
+        clearTimeout(this._pingTimers[schemaName]);
+        delete this._pingTimers[schemaName];
+    }
+
+    /**
+     * Pings the schema connection and records the outcome
+     * @param {string} schemaName - The schema name
+     * @return {Promise<void>}
+     * @private
+     */
+    async _ping(schemaName) {
+        const connection = this._dbConnections[schemaName];
+
+        // Only probe open connections, connection events will handle the rest
+        if (!connection || connection.readyState !== Mongoose.STATES.connected) return;
+
+        const policy = this._getPingPolicy(schemaName);
+        const started = Date.now();
+        let timer;
+
+        try {
+            await Promise.race([
+                connection.db.admin().ping(),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error('MongoDB ping timed out after ' + policy.timeout + 'ms')), policy.timeout);
+                })
+            ]);
+        } catch (err) {
+            this._onPingFailure(schemaName, err);
+            return;
+        } finally {
+            clearTimeout(timer);
         }
+
+        this._onPingSuccess(schemaName, Date.now() - started);
     }
 
     /**
-     * Encodes an identifier for public consumption
-     * @param id
-     * @param prefix
-     * @return {String}
+     * Handles a successful ping probe
+     * @param {string} schemaName - The schema name
+     * @param {number} latency - How long the ping took, in milliseconds
+     * @private
      */
-    getPublicId(id, prefix) {
-        if (!prefix) {
-            this.app.report('Why would you not prefix a public id?', id, prefix);
-            prefix = "derp";
+    _onPingSuccess(schemaName, latency) {
+        const policy = this._getPingPolicy(schemaName);
+        const latencies = this._pingLatencies[schemaName] = this._pingLatencies[schemaName] || [];
+        const wasDown = (this._pingFailures[schemaName] || 0) >= policy.maxFailures;
+
+        // Keep a rolling window of samples
+        latencies.push(latency);
+        if (latencies.length > policy.sampleSize) latencies.splice(0, latencies.length - policy.sampleSize);
+
+        this._pingFailures[schemaName] = 0;
+
+        // Bring the schema back if the probes took it down
+        if (wasDown) {
+            const currentState = this.getHealthStatus();
+            this._setSchemaState(schemaName, true);
+            const newState = this.getHealthStatus();
+
+            if (newState !== currentState) {
+                process.nextTick(this.emit.bind(this, 'health_change', newState));
+            }
         }
-        prefix += "_" + this.getEnvironmentIdPrefix();
-        return BaseId.base58.encodeWithPrefix(id, prefix);
     }
 
     /**
-     * Handles the event when a mongoose connection fully opens
-     * @param {string} schemaName – The schema name that opened
+     * Handles a failed ping probe
+     * @param {string} schemaName - The schema name
+     * @param {Error} err - Why the ping failed
      * @private
      */
-    _onConnectionOpen(schemaName) {
-        const currentState = this.getHealthStatus();
+    _onPingFailure(schemaName, err) {
+        const policy = this._getPingPolicy(schemaName);
+        const failures = this._pingFailures[schemaName] = (this._pingFailures[schemaName] || 0) + 1;
 
-        this._dbStates[schemaName] = true;
-        const newState = this.getHealthStatus();
+        // Take the schema down once the threshold is hit
+        if (failures === policy.maxFailures) {
+            this.app.report('MongoDB ping failed ' + failures + ' times in a row! Marking unhealthy: ' + schemaName, err);
 
-        /* istanbul ignore else: out of scope to disconnect here */
-        if (newState !== currentState) {
-            process.nextTick(this.emit.bind(this, 'health_change', newState));
+            const currentState = this.getHealthStatus();
+            this._setSchemaState(schemaName, false, err);
+            const newState = this.getHealthStatus();
+
+            if (newState !== currentState) {
+                process.nextTick(this.emit.bind(this, 'health_change', newState));
+            }
         }
     }
 
@@ -249,12 +1723,24 @@ class MongoService extends EventEmitter {
      */
     _handleReconnect(schemaName) {
         const connection = this._dbConnections[schemaName];
+        delete this._reconnectTimers[schemaName];
+
+        // Don't bother if we're shutting down
+        if (this._closing) return;
+
+        this.emit('reconnect_attempt', schemaName, this._reconnectAttempts[schemaName]);
 
         // Since the connection should have already been setup, let's cheat and try to open it again
         if (!connection) {
-            this._connectSchema(schemaName);
+            this._connectSchema(this._schemas[schemaName]);
         } else {
-            connection.connect()
+            // Failures are emitted as connection errors, so the policy will kick in again
+            connection
+                .openUri(this._schemas[schemaName].uri, this._getConnectionOptions(this._schemas[schemaName]))
+                .catch(() => {});
+
+            // Opening makes a new client, so watch it too
+            this._monitorCommands(schemaName, connection);
         }
     }
 
@@ -266,18 +1752,35 @@ class MongoService extends EventEmitter {
      * @private
      */
     _onConnectionError(schemaName, err) {
+        // Errors are expected while shutting down or removing the schema
+        if (this._closing || !this._schemas[schemaName]) return;
+
         const currentState = this.getHealthStatus(),
             connection = this._dbConnections[schemaName];
 
-        this.app.report('MongoDB connection problem! Retrying...', err);
-
-        // Try reconnection in 5 seconds
+        // Try reconnection according to the schema's policy
         if (connection.readyState === Mongoose.STATES.disconnected) {
-            setTimeout(this._handleReconnect.bind(this, schemaName), 5000);
+            const policy = this._getReconnectPolicy(schemaName);
+            const attempt = (this._reconnectAttempts[schemaName] || 0) + 1;
+
+            clearTimeout(this._reconnectTimers[schemaName]);
+            delete this._reconnectTimers[schemaName];
+
+            if (policy.maxAttempts > 0 && attempt > policy.maxAttempts) {
+                // Give up, the database is not coming back
+                this.app.report('MongoDB connection problem! Giving up after ' + policy.maxAttempts + ' attempts: ' + schemaName, err);
+                process.nextTick(this.emit.bind(this, 'reconnect_failed', schemaName, policy.maxAttempts, err));
+            } else {
+                this.app.report('MongoDB connection problem! Retrying...', err);
+                this._reconnectAttempts[schemaName] = attempt;
+                this._reconnectTimers[schemaName] = setTimeout(this._handleReconnect.bind(this, schemaName), this.getBackoffDelay(policy, attempt));
+            }
+        } else {
+            this.app.report('MongoDB connection problem!', err);
         }
 
         // Set the schema state to dead
-        this._dbStates[schemaName] = false;
+        this._setSchemaState(schemaName, false, err);
         const newState = this.getHealthStatus();
 
         // Notify if manager changed states
@@ -308,6 +1811,226 @@ class MongoService extends EventEmitter {
         this.app.log(' !! Disconnected from MongoDB: ' + schemaName);
     }
 
+    /**
+     * Closes the connection of the given schema
+     * @param {string} schemaName - The schema name
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _closeConnection(schemaName) {
+        // Close both the schema connection and its read connection, if it has one
+        await Promise.all([this._dbConnections, this._readConnections].map(async (connections) => {
+            const connection = connections[schemaName];
+            if (!connection) return;
+
+            try {
+                /* istanbul ignore if: would require edge casing docker connection states */
+                if (connection.readyState === Mongoose.STATES.connecting && connection.client) {
+                    // Mongoose waits for a pending connection to open before closing it, which may never happen
+                    await connection.client.close(true);
+                } else {
+                    await connection.close();
+                }
+            } catch (err) /* istanbul ignore next: we're not responsible for db failures */ {
+                this.app.report('Failed to close MongoDB connection: ' + schemaName, err);
+            }
+
+            // Mongoose holds onto every connection it ever made, so let it go
+            const index = Mongoose.connections.indexOf(connection);
+            if (index >= 0) Mongoose.connections.splice(index, 1);
+
+            delete connections[schemaName];
+        }));
+    }
+
+    //noinspection JSMethodCanBeStatic
+    /**
+     * Ensures the given schema definition is usable, or throws if not
+     * @param {object} schema - Schema configuration
+     * @private
+     */
+    _validateSchema(schema) {
+        if (!schema ||
+            typeof schema !== 'object' ||
+            !schema.name ||
+            !schema.path ||
+            !schema.uri) {
+            throw new Error('MongoService schema definition must be an object with keys: name, path and uri.');
+        }
+
+        MongoService._validateConnectionOptions(schema.options, schema.name);
+
+        if (schema.read !== undefined) {
+            if (!schema.read || typeof schema.read !== 'object' || (!schema.read.uri && !schema.read.readPreference)) {
+                throw new Error('MongoService schema read must be an object with a uri and/or readPreference. Schema: ' + schema.name);
+            }
+            MongoService._validateConnectionOptions(schema.read.options, schema.name);
+        }
+
+        if (schema.migrations !== undefined) {
+            const migrations = schema.migrations;
+            if (typeof migrations !== "string" && (!migrations || typeof migrations !== 'object' || typeof migrations.path !== "string")) {
+                throw new Error('MongoService schema migrations must be a directory path or an object with a path. Schema: ' + schema.name);
+            }
+        }
+    }
+
+    //noinspection JSMethodCanBeStatic
+    /**
+     * Gets the options to open the schema connection with
+     * @param {object} schema - Schema configuration
+     * @return {*}
+     * @private
+     */
+    _getConnectionOptions(schema) {
+        const options = Object.assign({}, MongoService.defaultConnectionOptions, schema.options);
+
+        // Metrics are collected through command monitoring
+        if (this.config.metrics !== false) options.monitorCommands = true;
+
+        return options;
+    }
+
+    /**
+     * Collects command metrics from the given connection's client
+     * @param {string} schemaName - The schema name
+     * @param {Connection} connection - Mongoose connection
+     * @private
+     */
+    _monitorCommands(schemaName, connection) {
+        const client = connection.client;
+        if (this.config.metrics === false || !client) return;
+
+        // Only the started event knows which collection the command ran on
+        const pending = new Map();
+
+        client
+            .on('commandStarted', (event) => {
+                pending.set(event.requestId, MongoService._getCommandCollection(event));
+            })
+            .on('commandSucceeded', (event) => {
+                this._recordCommand(schemaName, pending.get(event.requestId), event, false);
+                pending.delete(event.requestId);
+            })
+            .on('commandFailed', (event) => {
+                this._recordCommand(schemaName, pending.get(event.requestId), event, true);
+                pending.delete(event.requestId);
+            })
+            .on('topologyClosed', () => {
+                // Commands in flight when the client closed won't finish
+                pending.clear();
+            });
+    }
+
+    /**
+     * Adds a completed command to the metrics
+     * @param {string} schemaName - The schema name
+     * @param {string} [collection] - The collection the command ran on
+     * @param {{commandName:string, duration:number}} event - Command succeeded or failed event
+     * @param {boolean} failed - Whether the command failed
+     * @private
+     */
+    _recordCommand(schemaName, collection, event, failed) {
+        collection = collection || '';
+        const key = [schemaName, collection, event.commandName].join('|');
+
+        const metric = this._metrics[key] = this._metrics[key] || {
+            schema: schemaName,
+            collection,
+            command: event.commandName,
+            count: 0,
+            errors: 0,
+            duration: 0,
+            buckets: MongoService.metricsBuckets.map(() => 0)
+        };
+
+        metric.count++;
+        if (failed) metric.errors++;
+        metric.duration += event.duration;
+
+        // Buckets are stored individually, and accumulated on export
+        const bucket = MongoService.metricsBuckets.findIndex((le) => event.duration <= le);
+        if (bucket >= 0) metric.buckets[bucket]++;
+    }
+
+    /**
+     * Establishes the read connection of a schema and binds the mongoose schema to it
+     * @param {object} schema - Schema configuration
+     * @return {*} – The models bound to the read connection
+     * @private
+     */
+    _connectReadSchema(schema) {
+        const connection = this._readConnections[schema.name] = Mongoose.createConnection(schema.read.uri || schema.uri, this._getReadConnectionOptions(schema));
+
+        // Reads fall back to the primary connection while this one is down, so just let someone know and try again later
+        connection.asPromise().catch(() => {});
+        connection
+            .on("open", () => delete this._readReconnectAttempts[schema.name])
+            .on("error", this._onReadConnectionError.bind(this, schema.name));
+        this._monitorCommands(schema.name, connection);
+
+        return require(schema.path)(connection, this.app);
+    }
+
+    /**
+     * Gets the connection options of a schema's read connection
+     * @param {object} schema - Schema configuration with a read config
+     * @return {*}
+     * @private
+     */
+    _getReadConnectionOptions(schema) {
+        const options = Object.assign(this._getConnectionOptions(schema), { readPreference: 'secondaryPreferred' }, schema.read.options);
+        if (schema.read.readPreference) options.readPreference = schema.read.readPreference;
+        return options;
+    }
+
+    /**
+     * Handles errors of a schema's read connection. When the connection is lost, or never opened, it's opened again
+     * according to the schema's reconnect policy.
+     * @param {string} schemaName - The schema name
+     * @param {Error} err - The connection error
+     * @private
+     */
+    _onReadConnectionError(schemaName, err) {
+        this.app.report('MongoDB read connection problem: ' + schemaName, err);
+
+        // Errors are expected while shutting down or removing the schema
+        const connection = this._readConnections[schemaName];
+        if (this._closing || !this._schemas[schemaName] || !connection) return;
+        if (connection.readyState !== Mongoose.STATES.disconnected || this._readReconnectTimers[schemaName]) return;
+
+        const policy = this._getReconnectPolicy(schemaName);
+        const attempt = (this._readReconnectAttempts[schemaName] || 0) + 1;
+
+        if (policy.maxAttempts > 0 && attempt > policy.maxAttempts) {
+            // Reads stay on the primary connection
+            this.app.report('MongoDB read connection problem! Giving up after ' + policy.maxAttempts + ' attempts: ' + schemaName, err);
+        } else {
+            this._readReconnectAttempts[schemaName] = attempt;
+            this._readReconnectTimers[schemaName] = setTimeout(this._handleReadReconnect.bind(this, schemaName), this.getBackoffDelay(policy, attempt));
+        }
+    }
+
+    /**
+     * Attempts to open a schema's read connection again
+     * @param {string} schemaName - The schema name
+     * @private
+     */
+    _handleReadReconnect(schemaName) {
+        const connection = this._readConnections[schemaName];
+        const schema = this._schemas[schemaName];
+        delete this._readReconnectTimers[schemaName];
+
+        // Don't bother if we're shutting down
+        if (this._closing || !connection || !schema) return;
+
+        // Failures are emitted as connection errors, so the policy will kick in again
+        connection.openUri(schema.read.uri || schema.uri, this._getReadConnectionOptions(schema)).catch(() => {});
+
+        // Opening makes a new client, so watch it too
+        this._monitorCommands(schemaName, connection);
+    }
+
     /**
      * Establishes the mongoose connection and binds the mongoose schema to the given connection
      * @param {object} schema - Schema configuration
@@ -321,16 +2044,24 @@ class MongoService extends EventEmitter {
 
         let connection, models;
 
+        // Hold onto the definition for reconnecting later
+        this._schemas[schemaName] = schema;
+
         // Create the connection
-        connection = this._dbConnections[schemaName] = Mongoose.createConnection(uri, {
-            keepAlive: true
-        }); // this will automatically open the connection
+        connection = this._dbConnections[schemaName] = Mongoose.createConnection(uri, this._getConnectionOptions(schema)); // this will automatically open the connection
+
+        // Initial connection failures are emitted as connection errors, so don't let the promise go unhandled
+        connection.asPromise().catch(() => {});
+        this._monitorCommands(schemaName, connection);
 
         // Bind the schema to the connection
         models = require(schemaPath)(connection, this.app);
 
         // Set the property on the database class as the name of the schema, so you can do `new app.dbs.schemaName.YourModel()` or whatever
-        this[schemaName] = models;
+        this[schemaName] = this.models[schemaName] = models;
+
+        // Bind the schema to a separate connection for reads, if configured
+        this.readModels[schemaName] = schema.read ? this._connectReadSchema(schema) : models;
 
         // Register connection events
         connection
@@ -348,4 +2079,189 @@ class MongoService extends EventEmitter {
  */
 MongoService._identifierParser = /^([a-z]+)_([a-z_]*?)_?([^_]+)$/i;
 
+/**
+ * Matches base-58 encoded values
+ * @type {RegExp}
+ * @static
+ */
+MongoService._base58Pattern = /^[1-9A-HJ-NP-Za-km-z]+$/;
+
+/**
+ * Matches parts of a legacy public identifier string, a two letter prefix and the encoded id
+ * @type {RegExp}
+ * @static
+ */
+MongoService._legacyIdentifierParser = /^([a-zA-Z]{2})([1-9A-HJ-NP-Za-km-z]+)$/;
+
+/**
+ * Reasons parsePublicId rejects an id, set as the error `reason`
+ * @type {{malformed: string, unknownPrefix: string, invalidObjectId: string}}
+ * @static
+ */
+MongoService.publicIdErrors = {
+    malformed: 'malformed',
+    unknownPrefix: 'unknown_prefix',
+    invalidObjectId: 'invalid_object_id'
+};
+
+/**
+ * Valid tenant identifiers, safe for use in database names
+ * @type {RegExp}
+ * @static
+ * @private
+ */
+MongoService._tenantIdPattern = /^[a-z0-9_-]{1,48}$/i;
+
+/**
+ * Default tenant options, used when a schema is configured with `tenants`
+ * @type {{maxCached:number}}
+ * @static
+ */
+MongoService.defaultTenantOptions = {
+    maxCached: 100
+};
+
+/**
+ * Default options used to open schema connections. Override per schema using the schema's `options` config.
+ * @type {*}
+ * @static
+ */
+MongoService.defaultConnectionOptions = {
+    keepAlive: true
+};
+
+/**
+ * Connection options that may be given in a schema's `options` config
+ * @type {string[]}
+ * @static
+ */
+MongoService.supportedConnectionOptions = [
+    // Connection pool
+    'maxPoolSize', 'minPoolSize', 'maxIdleTimeMS', 'waitQueueTimeoutMS', 'maxConnecting',
+
+    // TLS
+    'tls', 'ssl', 'tlsCAFile', 'tlsCertificateKeyFile', 'tlsCertificateKeyFilePassword', 'tlsAllowInvalidCertificates',
+    'tlsAllowInvalidHostnames', 'tlsInsecure',
+
+    // Authentication
+    'auth', 'authSource', 'authMechanism', 'authMechanismProperties', 'user', 'pass', 'dbName',
+
+    // Read and write concerns
+    'readPreference', 'readPreferenceTags', 'maxStalenessSeconds', 'readConcern', 'writeConcern', 'w', 'wtimeoutMS',
+    'journal', 'retryWrites', 'retryReads',
+
+    // Topology and timeouts
+    'replicaSet', 'directConnection', 'loadBalanced', 'serverSelectionTimeoutMS', 'connectTimeoutMS', 'socketTimeoutMS',
+    'heartbeatFrequencyMS', 'localThresholdMS', 'family', 'keepAlive', 'keepAliveInitialDelay', 'noDelay',
+
+    // Misc
+    'appName', 'compressors', 'zlibCompressionLevel', 'monitorCommands',
+
+    // Mongoose
+    'autoIndex', 'autoCreate', 'bufferCommands'
+];
+
+/**
+ * Index options compared by diffIndexes. Other options do not change how an index behaves.
+ * @type {string[]}
+ * @static
+ */
+MongoService.indexOptionKeys = ['unique', 'sparse', 'expireAfterSeconds', 'partialFilterExpression', 'collation'];
+
+/**
+ * Default schema migration policy. Migrations are enabled per schema using the schema's `migrations` config.
+ * Runners renew the migration lock while they run, so a lock not renewed for lockTimeout belongs to a dead runner, and may be taken.
+ * @type {{collection:string, lockTimeout:number}}
+ * @static
+ */
+MongoService.defaultMigrationPolicy = {
+    collection: '_migrations',
+    lockTimeout: 600000
+};
+
+/**
+ * Default transaction retry policy. Override using the `transactions` config.
+ * maxAttempts bounds how many times withTransaction runs the function, maxCommitAttempts how many times each commit is tried.
+ * Retries back off like reconnects do.
+ * @type {{maxAttempts:number, maxCommitAttempts:number, initialDelay:number, multiplier:number, maxDelay:number, jitter:number}}
+ * @static
+ */
+MongoService.defaultTransactionPolicy = {
+    maxAttempts: 3,
+    maxCommitAttempts: 3,
+    initialDelay: 50,
+    multiplier: 2,
+    maxDelay: 1000,
+    jitter: 0.1
+};
+
+/**
+ * Default change stream watch policy. Override using the `watch` config.
+ * Resume tokens are saved in the collection, in each schema's database. Failed watches restart with a back off, like reconnects.
+ * @type {{collection:string, initialDelay:number, multiplier:number, maxDelay:number, jitter:number}}
+ * @static
+ */
+MongoService.defaultWatchPolicy = {
+    collection: '_resume_tokens',
+    initialDelay: 1000,
+    multiplier: 2,
+    maxDelay: 60000,
+    jitter: 0.1
+};
+
+/**
+ * Driver error labels that make transactions retryable
+ * @type {{transient: string, unknownCommitResult: string}}
+ * @static
+ */
+MongoService.transactionErrorLabels = {
+    transient: 'TransientTransactionError',
+    unknownCommitResult: 'UnknownTransactionCommitResult'
+};
+
+/**
+ * Upper bounds of the command duration histogram buckets, in milliseconds
+ * @type {number[]}
+ * @static
+ */
+MongoService.metricsBuckets = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Default slow query reporting policy. Reporting is enabled using the `slowQuery` config, by setting a threshold.
+ * At most maxReports operations are reported per interval.
+ * @type {{threshold:number, maxReports:number, interval:number}}
+ * @static
+ */
+MongoService.defaultSlowQueryPolicy = {
+    threshold: 0,
+    maxReports: 10,
+    interval: 60000
+};
+
+/**
+ * Default schema ping probe policy. Probing is enabled per schema using the schema's `ping` config.
+ * @type {{interval:number, timeout:number, maxFailures:number, sampleSize:number}}
+ * @static
+ */
+MongoService.defaultPingPolicy = {
+    interval: 10000,
+    timeout: 2000,
+    maxFailures: 3,
+    sampleSize: 100
+};
+
+/**
+ * Default schema reconnection policy. Override per schema using the schema's `reconnect` config.
+ * A maxAttempts of 0 will retry forever.
+ * @type {{initialDelay:number, multiplier:number, maxDelay:number, jitter:number, maxAttempts:number}}
+ * @static
+ */
+MongoService.defaultReconnectPolicy = {
+    initialDelay: 5000,
+    multiplier: 2,
+    maxDelay: 60000,
+    jitter: 0.1,
+    maxAttempts: 0
+};
+
 module.exports = MongoService;
\ No newline at end of file
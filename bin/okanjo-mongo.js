@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+"use strict";
+
+const MongoCli = require('../MongoCli');
+
+new MongoCli().run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
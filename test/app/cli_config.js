@@ -0,0 +1,8 @@
+const config = require('./config');
+
+// The test app config, with id prefixes for encoding and decoding public ids
+module.exports = {
+    mongo: Object.assign({}, config.mongo, {
+        prefixes: { doodad: 'dood' }
+    })
+};
@@ -0,0 +1,12 @@
+"use strict";
+
+module.exports = (/*app*/) => ({
+    'widgets.Doodad': {
+        grandchild: {
+            name: 'unit test: fixture grandchild',
+            key: 'fixture-grandchild',
+            status: 'active',
+            owner: '@child'
+        }
+    }
+});
@@ -0,0 +1,11 @@
+"use strict";
+
+module.exports = {
+    up: async (connection) => {
+        await connection.db.collection('gadgets').insertOne({ _id: 'gadget' });
+    },
+
+    down: async (connection) => {
+        await connection.db.collection('gadgets').deleteOne({ _id: 'gadget' });
+    }
+};
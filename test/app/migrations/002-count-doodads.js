@@ -0,0 +1,12 @@
+"use strict";
+
+module.exports = {
+    up: async (connection, models) => {
+        const doodads = await models.Doodad.countDocuments();
+        await connection.db.collection('gadgets').updateOne({ _id: 'gadget' }, { $set: { doodads } });
+    },
+
+    down: async (connection) => {
+        await connection.db.collection('gadgets').updateOne({ _id: 'gadget' }, { $unset: { doodads: 1 } });
+    }
+};
@@ -499,4 +499,534 @@ describe('AsyncCrudService', () => {
         });
     });
 
+    describe('slow query log', () => {
+
+        let operations;
+
+        before(() => {
+            app.dbs.reportSlowOperation = (...args) => operations.push(args);
+        });
+
+        after(() => {
+            delete app.dbs.reportSlowOperation;
+        });
+
+        it('reports completed operations with the method and query', async () => {
+            operations = [];
+            const doc = await app.services.doodad._create({
+                name: "unit test: slow query log",
+                key: app.services.doodad.generateKey(),
+                status: 'active'
+            });
+            cleanup.ids.push(doc._id);
+
+            await app.services.doodad._retrieve(doc._id);
+            await app.services.doodad._find({ name: "unit test: slow query log" });
+            await app.services.doodad._count({ name: "unit test: slow query log" });
+            await app.services.doodad._update(doc, { name: "unit test: slow query log" });
+
+            operations.map((op) => op[1]).should.deepEqual(['_create', '_retrieve', '_find', '_count', '_update']);
+            operations.forEach((op) => {
+                op[0].should.be.exactly(app.services.doodad.model);
+                op[3].should.be.a.Number().and.be.greaterThanOrEqual(0);
+            });
+            operations[1][2].should.deepEqual({ _id: doc._id });
+            operations[2][2].name.should.be.exactly("unit test: slow query log");
+        });
+
+        it('reports failed operations too', async () => {
+            operations = [];
+            try {
+                await app.services.doodad._find({ $bogus: 1 });
+            } catch (err) {
+                should(err).be.ok();
+            }
+            operations.length.should.be.exactly(1);
+            operations[0][1].should.be.exactly('_find');
+        });
+
+    });
+
+    describe('explain', () => {
+
+        it('returns the winning plan of _find and _count', async () => {
+            let plan = await fauxService._find({ key: 'unit test: explain' }, { explain: true });
+            plan.namespace.should.match(/\.doodads$/);
+            plan.stages.should.containEql('IXSCAN');
+            plan.indexes.should.deepEqual(['key_1']);
+            plan.collectionScan.should.be.exactly(false);
+
+            plan = await fauxService._count({ name: 'unit test: explain' }, { explain: true, conceal: false });
+            plan.stages.should.containEql('COLLSCAN');
+            plan.collectionScan.should.be.exactly(true);
+        });
+
+        it('explains the query as cast by the model', async () => {
+            const collection = app.dbs.widgets.Doodad.collection.collection;
+            const find = collection.find;
+            const filters = [];
+            collection.find = function(filter, options) {
+                filters.push(filter);
+                return find.call(this, filter, options);
+            };
+
+            try {
+                await fauxService._find({ _id: '5f0000000000000000000001', created: '2020-01-01T00:00:00Z' }, { explain: true });
+            } finally {
+                collection.find = find;
+            }
+
+            filters.length.should.be.exactly(1);
+            filters[0]._id.toHexString().should.be.exactly('5f0000000000000000000001');
+            filters[0].created.should.be.instanceOf(Date);
+        });
+
+        it('summarizes nested and sharded plans', () => {
+            CrudService._getPlanSummary({
+                queryPlanner: {
+                    namespace: 'db.doodads',
+                    winningPlan: {
+                        stage: 'SHARD_MERGE',
+                        shards: [
+                            { winningPlan: { queryPlan: { stage: 'FETCH', inputStage: { stage: 'IXSCAN', indexName: 'status_1' } } } },
+                            { winningPlan: { stage: 'OR', inputStages: [{ stage: 'IXSCAN', indexName: 'status_1' }, { stage: 'COLLSCAN' }] } }
+                        ]
+                    }
+                }
+            }).should.deepEqual({
+                namespace: 'db.doodads',
+                stages: ['SHARD_MERGE', 'FETCH', 'IXSCAN', 'OR', 'IXSCAN', 'COLLSCAN'],
+                indexes: ['status_1'],
+                collectionScan: true
+            });
+        });
+
+    });
+
+    describe('query guard', () => {
+
+        class GuardedService extends CrudService {
+            constructor(app) {
+                super(app, app.dbs.widgets.Doodad);
+                this._concealDeadResources = false;
+            }
+        }
+
+        after(() => {
+            delete app.dbs.config.queryGuard;
+        });
+
+        it('does nothing when disabled', async () => {
+            const service = new GuardedService(app);
+            await service._find({ name: 'unit test: guard' });
+            service._guardedQueries.size.should.be.exactly(0);
+        });
+
+        it('reports collection scans once per query shape', async () => {
+            app.dbs.config.queryGuard = { minDocuments: 0 };
+            const service = new GuardedService(app);
+            const reports = [];
+            const report = app.report;
+            app.report = (...args) => reports.push(args);
+
+            try {
+                await service._find({ name: 'unit test: guard' });
+                await service._count({ name: 'unit test: another guard' });
+                await service._find({ key: 'unit test: guard' });
+            } finally {
+                app.report = report;
+            }
+
+            service._guardedQueries.size.should.be.exactly(2);
+            reports.length.should.be.exactly(1);
+            reports[0][0].should.be.exactly('Query does a collection scan: doodad._find');
+            reports[0][1].collection.should.be.exactly('doodads');
+            reports[0][1].shape.should.deepEqual({ filter: { name: 'string' } });
+        });
+
+        it('throws on collection scans when configured to', async () => {
+            app.dbs.config.queryGuard = { minDocuments: 0, throw: true };
+            const service = new GuardedService(app);
+
+            await service._find({ name: 'unit test: guard' }).should.be.rejectedWith(/collection scan/);
+            await service._count({ name: 'unit test: guard' }).should.be.rejectedWith(/collection scan/);
+            (await service._find({ key: 'unit test: guard' })).should.deepEqual([]);
+        });
+
+        it('checks the query shape again when the check fails', async () => {
+            app.dbs.config.queryGuard = { minDocuments: 0, throw: true };
+            const service = new GuardedService(app);
+            const reports = [];
+            const report = app.report;
+            app.report = (...args) => reports.push(args);
+
+            // The first explain fails, like on a blip in the connection
+            const explainQuery = service._explainQuery;
+            service._explainQuery = () => {
+                service._explainQuery = explainQuery;
+                return Promise.reject(new Error('unit test: explain failed'));
+            };
+
+            try {
+                (await service._find({ name: 'unit test: guard' })).should.deepEqual([]);
+            } finally {
+                app.report = report;
+            }
+
+            reports.length.should.be.exactly(1);
+            reports[0][0].should.be.exactly('Failed to check query plan: doodad');
+            service._guardedQueries.size.should.be.exactly(0);
+
+            await service._find({ name: 'unit test: guard' }).should.be.rejectedWith(/collection scan/);
+            service._guardedQueries.size.should.be.exactly(1);
+        });
+
+        it('ignores small collections', async () => {
+            app.dbs.config.queryGuard = { minDocuments: 1000000, throw: true };
+            const service = new GuardedService(app);
+
+            (await service._find({ name: 'unit test: guard' })).should.deepEqual([]);
+        });
+
+    });
+
+    describe('sessions', () => {
+
+        it('threads the session into every operation', async () => {
+            const session = await app.dbs.widgets.Doodad.db.startSession();
+            let doc;
+
+            try {
+                doc = await fauxService._create({ name: 'unit test: session', key: 'unit test: session' }, { session });
+                cleanup.ids.push(doc._id);
+                doc.$session().should.be.exactly(session);
+
+                (await fauxService._retrieve(doc._id, { session })).$session().should.be.exactly(session);
+                (await fauxService._find({ key: 'unit test: session' }, { session }))[0].$session().should.be.exactly(session);
+                (await fauxService._count({ key: 'unit test: session' }, { session })).should.be.exactly(1);
+
+                doc.$session(null);
+                (await fauxService._update(doc, {}, { session })).$session().should.be.exactly(session);
+
+                doc.$session(null);
+                (await fauxService._delete(doc, { session })).status.should.be.exactly('dead');
+                doc.$session().should.be.exactly(session);
+            } finally {
+                await session.endSession();
+            }
+
+            // Ended sessions can't be used, proving they made it to the operation
+            await fauxService._count({ key: 'unit test: session' }, { session }).should.be.rejectedWith(/session/);
+            await fauxService._deletePermanently(doc, { session }).should.be.rejectedWith(/session/);
+
+            await fauxService._deletePermanently(doc);
+            should(await fauxService._retrieve(doc._id, { session: undefined })).be.exactly(null);
+        });
+
+    });
+
+    describe('cache', () => {
+
+        const LruCache = require('../LruCache');
+        let cachedService;
+
+        before(() => {
+            class CachedService extends CrudService {
+                constructor(app) {
+                    super(app, app.dbs.widgets.Doodad);
+                    this._modifiableKeys = ['name'];
+                    this._cache = new LruCache();
+                }
+            }
+            cachedService = new CachedService(app);
+        });
+
+        it('serves retrieves from the cache', async () => {
+            const doc = await cachedService._create({ name: 'unit test: cache', key: 'unit test: cache', status: 'active' });
+            cleanup.ids.push(doc._id);
+            const key = 'unittest_widgets.doodads:' + doc._id.toHexString();
+            cachedService._getCacheKey(doc._id.toHexString()).should.be.exactly(key);
+
+            (await cachedService._retrieve(doc._id)).name.should.be.exactly('unit test: cache');
+            cachedService._cacheStats.should.deepEqual({ hits: 0, misses: 1 });
+            cachedService._cache.get(key).name.should.be.exactly('unit test: cache');
+
+            // Changed behind the service's back, so the cache is stale
+            await app.dbs.widgets.Doodad.updateOne({ _id: doc._id }, { $set: { name: 'unit test: stale' } });
+
+            const cached = await cachedService._retrieve(doc._id.toHexString());
+            cached.should.be.instanceof(app.dbs.widgets.Doodad);
+            cached.isNew.should.be.exactly(false);
+            cached._id.equals(doc._id).should.be.exactly(true);
+            cached.name.should.be.exactly('unit test: cache');
+            cachedService._cacheStats.should.deepEqual({ hits: 1, misses: 1 });
+
+            // Changing a hit does not change the cached copy
+            cached.created.setTime(0);
+            cached.name = 'unit test: changed';
+            const again = await cachedService._retrieve(doc._id);
+            again.created.getTime().should.be.exactly(doc.created.getTime());
+            again.name.should.be.exactly('unit test: cache');
+            cachedService._cache.get(key).created.getTime().should.be.exactly(doc.created.getTime());
+            cachedService._cacheStats.should.deepEqual({ hits: 2, misses: 1 });
+
+            // Bypass
+            (await cachedService._retrieve(doc._id, { cache: false })).name.should.be.exactly('unit test: stale');
+            cachedService._cacheStats.should.deepEqual({ hits: 2, misses: 1 });
+        });
+
+        it('invalidates on writes', async () => {
+            const doc = await cachedService._create({ name: 'unit test: invalidate', key: 'unit test: invalidate', status: 'active' });
+            cleanup.ids.push(doc._id);
+
+            let found = await cachedService._retrieve(doc._id);
+            await cachedService._update(found, { name: 'unit test: updated' });
+            (await cachedService._retrieve(doc._id)).name.should.be.exactly('unit test: updated');
+
+            found = await cachedService._retrieve(doc._id);
+            await cachedService._delete(found);
+            should(await cachedService._retrieve(doc._id)).be.exactly(null);
+
+            cachedService._concealDeadResources = false;
+            found = await cachedService._retrieve(doc._id);
+            found.status.should.be.exactly('dead');
+            await cachedService._deletePermanently(found);
+            should(await cachedService._retrieve(doc._id)).be.exactly(null);
+            cachedService._concealDeadResources = true;
+        });
+
+        it('falls back to the database when the cache fails', async () => {
+            const doc = await cachedService._create({ name: 'unit test: broken cache', key: 'unit test: broken cache', status: 'active' });
+            cleanup.ids.push(doc._id);
+
+            const reports = [];
+            const report = app.report;
+            app.report = (...args) => reports.push(args);
+
+            const cache = cachedService._cache;
+            cachedService._cache = {
+                get: async () => { throw new Error('unit test: get'); },
+                set: async () => { throw new Error('unit test: set'); },
+                delete: async () => { throw new Error('unit test: delete'); }
+            };
+
+            try {
+                (await cachedService._retrieve(doc._id)).name.should.be.exactly('unit test: broken cache');
+                await cachedService._update(doc, { name: 'unit test: still works' });
+            } finally {
+                cachedService._cache = cache;
+                app.report = report;
+            }
+
+            reports.map((r) => r[0]).should.deepEqual([
+                'Failed to get cached model: doodad',
+                'Failed to cache model: doodad',
+                'Failed to invalidate cached model: doodad'
+            ]);
+        });
+
+        it('is not used in sessions', async () => {
+            const doc = await cachedService._create({ name: 'unit test: cache session', key: 'unit test: cache session', status: 'active' });
+            cleanup.ids.push(doc._id);
+            const stats = Object.assign({}, cachedService._cacheStats);
+
+            const session = await app.dbs.widgets.Doodad.db.startSession();
+            try {
+                (await cachedService._retrieve(doc._id, { session })).name.should.be.exactly('unit test: cache session');
+            } finally {
+                await session.endSession();
+            }
+            cachedService._cacheStats.should.deepEqual(stats);
+        });
+
+    });
+
+    describe('_subscribe', () => {
+
+        let watches;
+
+        before(() => {
+            app.dbs.watch = async (...args) => {
+                watches.push(args);
+                return { name: 'unit test', close: async () => {} };
+            };
+        });
+
+        after(() => {
+            delete app.dbs.watch;
+        });
+
+        it('gives create, update and delete events to the handlers', async () => {
+            watches = [];
+            const events = [];
+            const record = (event) => async (doc, change) => events.push([event, doc && doc.name, change.operationType]);
+
+            const subscription = await fauxService._subscribe({
+                create: record('create'),
+                update: record('update'),
+                delete: record('delete')
+            }, { name: 'unit test: subscribe' });
+            subscription.name.should.be.exactly('unit test');
+
+            const [schemaName, modelName, pipeline, handler, options] = watches[0];
+            schemaName.should.be.exactly('widgets');
+            modelName.should.be.exactly('doodad');
+            pipeline.should.deepEqual([{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }]);
+            options.should.deepEqual({ fullDocument: 'updateLookup', name: 'unit test: subscribe' });
+
+            const _id = new (require('mongoose').Types.ObjectId)();
+            await handler([
+                { operationType: 'insert', fullDocument: { _id, name: 'a' } },
+                { operationType: 'update', updateDescription: { updatedFields: { name: 'b' } }, fullDocument: { _id, name: 'b' } },
+                { operationType: 'update', updateDescription: { updatedFields: { status: 'dead' } }, fullDocument: null },
+                { operationType: 'replace', fullDocument: { _id, name: 'c', status: 'active' } },
+                { operationType: 'replace', fullDocument: { _id, name: 'd', status: 'dead' } }
+            ]);
+
+            events.should.deepEqual([
+                ['create', 'a', 'insert'],
+                ['update', 'b', 'update'],
+                ['delete', null, 'update'],
+                ['update', 'c', 'replace'],
+                ['delete', 'd', 'replace']
+            ]);
+        });
+
+        it('ignores events without a handler', async () => {
+            watches = [];
+            const created = [];
+            await fauxService._subscribe({ create: async (doc) => created.push(doc) });
+
+            await watches[0][3]([
+                { operationType: 'update', updateDescription: { updatedFields: { name: 'b' } }, fullDocument: { name: 'b' } },
+                { operationType: 'insert', fullDocument: { name: 'a' } }
+            ]);
+            created.length.should.be.exactly(1);
+            created[0].should.be.instanceof(app.dbs.widgets.Doodad);
+        });
+
+        it('fails when the model is not bound to a schema', async () => {
+            const service = new CrudService(app, { modelName: 'nope' });
+            await service._subscribe({}).should.be.rejectedWith(/does not belong to a connected schema/);
+        });
+
+    });
+
+    describe('readFrom', () => {
+
+        let readService, doc;
+
+        before(async () => {
+            await app.dbs.addSchema(Object.assign({}, config.mongo.schemas[0], {
+                name: 'read_widgets',
+                read: { readPreference: 'secondaryPreferred' }
+            }));
+            await app.dbs._readConnections.read_widgets.asPromise();
+
+            class ReadService extends CrudService {
+                constructor(app) {
+                    super(app, app.dbs.read_widgets.Doodad);
+                }
+            }
+
+            readService = new ReadService(app);
+            doc = await readService._create({
+                name: "unit test: read from secondary",
+                key: app.services.doodad.generateKey(),
+                status: 'active'
+            });
+            cleanup.ids.push(doc._id);
+        });
+
+        after(async () => {
+            await app.dbs.removeSchema('read_widgets');
+        });
+
+        it('routes to the read models', () => {
+            readService._getReadModel().should.be.exactly(app.dbs.read_widgets.Doodad);
+            readService._getReadModel('primary').should.be.exactly(app.dbs.read_widgets.Doodad);
+            readService._getReadModel('secondary').should.be.exactly(app.dbs.readModels.read_widgets.Doodad);
+            readService._buildQuery({}, { readFrom: 'secondary' }).model.should.be.exactly(app.dbs.readModels.read_widgets.Doodad);
+        });
+
+        it('reads from secondary with _find, _count and _retrieve', async () => {
+            const docs = await readService._find({ _id: doc._id }, { readFrom: 'secondary' });
+            docs.length.should.be.exactly(1);
+
+            const count = await readService._count({ _id: doc._id }, { readFrom: 'secondary' });
+            count.should.be.exactly(1);
+
+            const found = await readService._retrieve(doc._id, { readFrom: 'secondary' });
+            found._id.toString().should.be.exactly(doc._id.toString());
+        });
+
+        it('still takes a callback with _retrieve', (done) => {
+            readService._retrieve(doc._id, (err, found) => {
+                should(err).not.be.ok();
+                found._id.toString().should.be.exactly(doc._id.toString());
+                done();
+            });
+        });
+
+        it('rejects unknown readFrom values', async () => {
+            await readService._find({}, { readFrom: 'nope' }).should.be.rejectedWith(/readFrom/);
+            await readService._count({}, { readFrom: 'nope' }).should.be.rejectedWith(/readFrom/);
+            await readService._retrieve(doc._id, { readFrom: 'nope' }).should.be.rejectedWith(/readFrom/);
+        });
+
+        it('gives unknown readFrom values to the _find callback', (done) => {
+            readService._find({}, { readFrom: 'nope' }, (err, docs) => {
+                err.message.should.match(/readFrom/);
+                should(docs).be.undefined();
+                done();
+            });
+        });
+    });
+
+    describe('_forTenant', () => {
+
+        let tenantService;
+
+        before(async () => {
+            await app.dbs.addSchema(Object.assign({}, config.mongo.schemas[0], {
+                name: 'tenant_widgets',
+                tenants: { prefix: 'unittest_tenant_' }
+            }));
+
+            class TenantService extends CrudService {
+                constructor(app) {
+                    super(app, app.dbs.tenant_widgets.Doodad);
+                }
+            }
+
+            tenantService = new TenantService(app);
+            await tenantService._forTenant('acme').model.deleteMany({});
+        });
+
+        after(async () => {
+            await tenantService._forTenant('acme').model.deleteMany({});
+            await app.dbs.removeSchema('tenant_widgets');
+        });
+
+        it('operates on the tenant database', async () => {
+            const acme = tenantService._forTenant('acme');
+
+            acme.model.db.name.should.be.exactly('unittest_tenant_acme');
+            acme.should.be.instanceof(CrudService);
+            acme.app.should.be.exactly(app);
+            tenantService.model.should.be.exactly(app.dbs.tenant_widgets.Doodad);
+
+            const doc = await acme._create({
+                name: "unit test: tenant doc",
+                key: app.services.doodad.generateKey(),
+                status: 'active'
+            });
+            should(doc).be.ok();
+
+            (await acme._retrieve(doc._id)).name.should.be.exactly("unit test: tenant doc");
+            should(await tenantService._retrieve(doc._id)).be.exactly(null);
+            should(await tenantService._forTenant('initech')._retrieve(doc._id)).be.exactly(null);
+        });
+    });
+
 });
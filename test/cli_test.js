@@ -0,0 +1,232 @@
+"use strict";
+
+const should = require('should');
+
+describe('MongoCli', () => {
+
+    const FS = require('fs');
+    const OS = require('os');
+    const Path = require('path');
+    const Stream = require('stream');
+    const OkanjoApp = require('okanjo-app');
+    const MongoService = require('../MongoService');
+    const MongoCli = require('../MongoCli');
+    const config = require('./app/config');
+
+    const configPath = Path.join(__dirname, 'app', 'cli_config.js');
+    const exportPath = Path.join(OS.tmpdir(), 'okanjo_mongo_cli_test.ndjson');
+
+    let app;
+
+    const output = () => {
+        const writable = new Stream.Writable({
+            write(chunk, encoding, callback) {
+                writable.text += chunk.toString();
+                callback();
+            }
+        });
+        writable.text = '';
+        return writable;
+    };
+
+    // Runs the tool with the test config, capturing its output
+    const run = async (argv, stdin) => {
+        const result = { stdout: output(), stderr: output() };
+        const cli = new MongoCli({ stdin, stdout: result.stdout, stderr: result.stderr, cwd: __dirname });
+        result.code = await cli.run(['--config', configPath].concat(argv));
+        return result;
+    };
+
+    before(async () => {
+        app = new OkanjoApp(config);
+        app.dbs = new MongoService(app);
+        await app.connectToServices();
+        await app.dbs.widgets.Doodad.deleteMany({ key: /^unit test: cli/ });
+    });
+
+    after(async () => {
+        await app.dbs.widgets.Doodad.deleteMany({ key: /^unit test: cli/ });
+        await app.dbs.close();
+        if (FS.existsSync(exportPath)) FS.unlinkSync(exportPath);
+    });
+
+    describe('usage', () => {
+
+        it('should print usage', async () => {
+            let result = await run([]);
+            result.code.should.be.exactly(2);
+            result.stderr.text.should.startWith('Usage: okanjo-mongo <command> [options]');
+
+            result = await run(['--help']);
+            result.code.should.be.exactly(0);
+            result.stdout.text.should.match(/indexes diff \[schema]/);
+            result.stdout.text.should.match(/decode-id <publicId>/);
+
+            result = await run(['count', '--help']);
+            result.code.should.be.exactly(0);
+            result.stdout.text.should.be.exactly('Usage: okanjo-mongo count <schema> <model> [criteria]\n');
+        });
+
+        it('should fail on bad arguments', async () => {
+            let result = await run(['nope']);
+            result.code.should.be.exactly(2);
+            result.stderr.text.should.startWith('okanjo-mongo: unknown command: nope\n');
+
+            result = await run(['count', 'widgets']);
+            result.code.should.be.exactly(2);
+            result.stderr.text.should.be.exactly('Usage: okanjo-mongo count <schema> <model> [criteria]\n');
+
+            result = await run(['health', '--timeout']);
+            result.code.should.be.exactly(2);
+            result.stderr.text.should.be.exactly('okanjo-mongo: missing value of option --timeout\n');
+
+            result = await run(['count', 'widgets', 'Doodad', '{nope}']);
+            result.code.should.be.exactly(1);
+            result.stderr.text.should.startWith('okanjo-mongo: criteria is not valid JSON');
+
+            result = await run(['export', 'widgets', 'Doodad', '--batch-size', 'lots']);
+            result.code.should.be.exactly(1);
+            result.stderr.text.should.be.exactly('okanjo-mongo: option --batch-size must be a positive number\n');
+        });
+
+        it('should fail when the config does not load', async () => {
+            const result = await run(['health', '--config', 'nope.js']);
+            result.code.should.be.exactly(1);
+            result.stderr.text.should.startWith('okanjo-mongo: failed to load config ' + Path.join(__dirname, 'nope.js'));
+        });
+
+        it('should parse options', () => {
+            MongoCli._parseArgs(['export', 'widgets', '--format=ndjson', '--out', 'a.ndjson', '--progress', 'Doodad', '--', '--weird'])
+                .should.deepEqual({
+                    positional: ['export', 'widgets', 'Doodad', '--weird'],
+                    options: { format: 'ndjson', out: 'a.ndjson', progress: true }
+                });
+        });
+
+    });
+
+    describe('ids', () => {
+
+        it('should encode and decode public ids', async () => {
+            let result = await run(['encode-id', '5f0000000000000000000001', 'doodad']);
+            result.code.should.be.exactly(0);
+            const publicId = JSON.parse(result.stdout.text);
+            publicId.should.startWith('dood_local_');
+
+            // Prefixes work too
+            result = await run(['encode-id', '5f0000000000000000000001', 'dood']);
+            JSON.parse(result.stdout.text).should.be.exactly(publicId);
+
+            result = await run(['decode-id', publicId]);
+            result.code.should.be.exactly(0);
+            JSON.parse(result.stdout.text).should.deepEqual({
+                type: 'doodad',
+                prefix: 'dood',
+                environment: 'default',
+                objectId: '5f0000000000000000000001',
+                legacy: false
+            });
+        });
+
+        it('should fail on bad ids', async () => {
+            let result = await run(['decode-id', 'nope_local_2nykVTPApraC2yCmE']);
+            result.code.should.be.exactly(1);
+            result.stderr.text.should.be.exactly('okanjo-mongo: MongoService public id prefix is not registered: nope_local_2nykVTPApraC2yCmE\n');
+
+            result = await run(['decode-id', 'dood_local_abc']);
+            result.code.should.be.exactly(1);
+            result.stderr.text.should.match(/does not contain an ObjectId/);
+
+            result = await run(['encode-id', 'nope', 'doodad']);
+            result.code.should.be.exactly(1);
+            result.stderr.text.should.be.exactly('okanjo-mongo: not a valid id: nope\n');
+        });
+
+    });
+
+    describe('database', () => {
+
+        it('should report health', async () => {
+            const result = await run(['health']);
+            result.code.should.be.exactly(0);
+
+            const report = JSON.parse(result.stdout.text);
+            report.length.should.be.exactly(1);
+            report[0].name.should.be.exactly('widgets');
+            report[0].healthy.should.be.exactly(true);
+        });
+
+        it('should sync and diff indexes', async () => {
+            let result = await run(['indexes', 'sync', 'widgets', '--drop-extra']);
+            result.code.should.be.exactly(0);
+            JSON.parse(result.stdout.text).dryRun.should.be.exactly(false);
+
+            result = await run(['indexes', 'diff', 'widgets']);
+            result.code.should.be.exactly(0);
+            JSON.parse(result.stdout.text).map((diff) => diff.model).should.deepEqual(['doodad']);
+
+            // Extra indexes make the diff fail
+            await app.dbs.widgets.Doodad.collection.createIndex({ name: 1 });
+            result = await run(['indexes', 'diff']);
+            result.code.should.be.exactly(1);
+            JSON.parse(result.stdout.text)[0].extra[0].name.should.be.exactly('name_1');
+
+            result = await run(['indexes', 'sync', '--drop-extra']);
+            result.code.should.be.exactly(0);
+            JSON.parse(result.stdout.text).dropped[0].name.should.be.exactly('name_1');
+        });
+
+        it('should import, count and export documents', async () => {
+            const input = [
+                '{"_id":{"$oid":"5f00000000000000000c1101"},"key":"unit test: cli 1","status":"active","created":{"$date":{"$numberLong":"1000"}}}',
+                '{"_id":{"$oid":"5f00000000000000000c1102"},"key":"unit test: cli 2","status":"dead","created":{"$date":{"$numberLong":"2000"}}}'
+            ].join('\n');
+
+            let result = await run(['import', 'widgets', 'Doodad', '--batch-size', '1', '--progress'], Stream.Readable.from([input]));
+            result.code.should.be.exactly(0);
+            JSON.parse(result.stdout.text).should.deepEqual({ schema: 'widgets', collection: 'doodads', read: 2, inserted: 2, updated: 0, skipped: 0 });
+            result.stderr.text.trim().split('\n').length.should.be.exactly(2);
+
+            result = await run(['import', 'widgets', 'Doodad'], Stream.Readable.from([input]));
+            result.code.should.be.exactly(1);
+            result.stderr.text.should.match(/duplicate key/);
+
+            result = await run(['count', 'widgets', 'doodad', '{"key":{"$regex":"^unit test: cli"},"status":"active"}']);
+            result.code.should.be.exactly(0);
+            JSON.parse(result.stdout.text).should.be.exactly(1);
+
+            // To stdout, with the totals on stderr
+            result = await run(['export', 'widgets', 'Doodad', '{"_id":{"$oid":"5f00000000000000000c1102"}}']);
+            result.code.should.be.exactly(0);
+            result.stdout.text.should.match(/^\{"_id":\{"\$oid":"5f00000000000000000c1102"},.*"created":\{"\$date":\{"\$numberLong":"2000"}}/);
+            JSON.parse(result.stderr.text).exported.should.be.exactly(1);
+
+            // To a file, which imports back
+            result = await run(['export', 'widgets', 'Doodad', '{"key":{"$regex":"^unit test: cli"}}', '--out', exportPath, '--format', 'ndjson']);
+            result.code.should.be.exactly(0);
+            JSON.parse(result.stdout.text).exported.should.be.exactly(2);
+            FS.readFileSync(exportPath, 'utf8').trim().split('\n').length.should.be.exactly(2);
+
+            result = await run(['import', 'widgets', 'Doodad', exportPath, '--format', 'ndjson', '--mode', 'skip']);
+            result.code.should.be.exactly(0);
+            JSON.parse(result.stdout.text).skipped.should.be.exactly(2);
+        });
+
+        it('should fail when the output file can not be written', async () => {
+            const missingPath = Path.join(OS.tmpdir(), 'okanjo_mongo_cli_nope', 'doodads.ndjson');
+            const result = await run(['export', 'widgets', 'Doodad', '--out', missingPath]);
+            result.code.should.be.exactly(1);
+            result.stderr.text.should.startWith('okanjo-mongo: failed to open ' + missingPath + ': ENOENT');
+            should(result.stdout.text).be.exactly('');
+        });
+
+        it('should fail on unknown models', async () => {
+            const result = await run(['count', 'widgets', 'Nope']);
+            result.code.should.be.exactly(1);
+            result.stderr.text.should.be.exactly('okanjo-mongo: MongoService model does not exist: widgets.Nope\n');
+            should(result.stdout.text).be.exactly('');
+        });
+
+    });
+
+});
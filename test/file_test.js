@@ -0,0 +1,148 @@
+"use strict";
+
+const should = require('should');
+
+describe('FileService', () => {
+
+    const Stream = require('stream');
+    const OkanjoApp = require('okanjo-app');
+    const MongoService = require('../MongoService');
+    const FileService = require('../FileService');
+    const config = require('./app/config');
+
+    let app, files, bucket;
+
+    const read = (stream) => new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', (chunk) => chunks.push(chunk));
+        stream.once('error', reject);
+        stream.once('end', () => resolve(Buffer.concat(chunks).toString()));
+    });
+
+    before(async () => {
+        app = new OkanjoApp(config);
+        app.dbs = new MongoService(app, Object.assign({}, config.mongo, { prefixes: { attachment: 'att' } }));
+
+        files = new FileService(app, { schema: 'widgets', bucket: 'unittest_files', prefix: 'att', chunkSizeBytes: 4 });
+
+        await app.connectToServices();
+
+        bucket = files._getBucket();
+        await Promise.all(['files', 'chunks'].map((type) => bucket._getCollection(type).deleteMany({})));
+    });
+
+    after(async () => {
+        await Promise.all(['files', 'chunks'].map((type) => bucket._getCollection(type).drop()));
+        await app.dbs.close();
+    });
+
+    it('should require a schema', () => {
+        (() => new FileService(app, {})).should.throw(/must have a schema/);
+        (() => app.dbs.getBucket('nope')).should.throw(/schema does not exist/);
+    });
+
+    it('should use the default bucket name', () => {
+        const fs = app.dbs.getBucket('widgets');
+        fs.name.should.be.exactly('fs');
+        fs.prefix.should.be.exactly('fs');
+    });
+
+    it('should upload and download files', async () => {
+        const file = await files._upload('hello world', { filename: 'hello.txt', contentType: 'text/plain', metadata: { owner: 'unit test' } });
+        file.filename.should.be.exactly('hello.txt');
+        file.contentType.should.be.exactly('text/plain');
+        file.metadata.should.deepEqual({ owner: 'unit test' });
+        file.length.should.be.exactly(11);
+        file.chunkSize.should.be.exactly(4);
+
+        (await read(files._download(file._id))).should.be.exactly('hello world');
+        (await read(files._download(file._id.toHexString(), { start: 6 }))).should.be.exactly('world');
+
+        // From a stream
+        const streamed = await files._upload(Stream.Readable.from([Buffer.from('abc'), Buffer.from('def')]), { filename: 'stream.txt' });
+        (await read(files._download(streamed._id))).should.be.exactly('abcdef');
+
+        await files._upload('nope', {}).should.be.rejectedWith(/must have a filename/);
+        (() => files._download('bogus')).should.throw(/file id is not valid/);
+        await read(files._download(app.dbs.getObjectId('000000000000000000000000'))).should.be.rejectedWith(/FileNotFound|not found/);
+    });
+
+    it('should clean up when the source stream fails', async () => {
+        const id = app.dbs.getObjectId('5f0000000000000000000001');
+        const source = new Stream.Readable({ read() {} });
+        const upload = files._upload(source, { filename: 'broken.txt', id });
+
+        source.push('some data');
+        setTimeout(() => source.destroy(new Error('unit test: source failed')), 10);
+
+        await upload.should.be.rejectedWith('unit test: source failed');
+        should(await files._retrieve(id)).be.exactly(null);
+        (await bucket._getCollection('chunks').countDocuments({ files_id: id })).should.be.exactly(0);
+    });
+
+    it('should find, update and delete files', async () => {
+        const file = await files._upload('find me', { filename: 'find.txt', metadata: { tag: 'unit test: find' } });
+
+        (await files._retrieve(file._id)).filename.should.be.exactly('find.txt');
+        should(await files._retrieve('bogus')).be.exactly(null);
+
+        (await files._find({ 'metadata.tag': 'unit test: find' })).map((found) => found.filename).should.deepEqual(['find.txt']);
+
+        (await files._updateMetadata(file._id, { tag: 'unit test: updated' })).should.be.exactly(true);
+        (await files._retrieve(file._id)).metadata.should.deepEqual({ tag: 'unit test: updated' });
+        (await files._updateMetadata('bogus', {})).should.be.exactly(false);
+
+        (await files._delete(file._id)).should.be.exactly(true);
+        (await files._delete(file._id)).should.be.exactly(false);
+        (await files._delete('bogus')).should.be.exactly(false);
+        should(await files._retrieve(file._id)).be.exactly(null);
+        (await bucket._getCollection('chunks').countDocuments({ files_id: file._id })).should.be.exactly(0);
+    });
+
+    it('should accept public ids', async () => {
+        const file = await files._upload('public', { filename: 'public.txt' });
+        const publicId = files._getPublicId(file);
+
+        publicId.should.startWith('att_local_');
+        files._getPublicId(file._id).should.be.exactly(publicId);
+
+        (await files._retrieve(publicId))._id.toHexString().should.be.exactly(file._id.toHexString());
+        (await read(files._download(publicId))).should.be.exactly('public');
+        (await files._delete(publicId)).should.be.exactly(true);
+    });
+
+    it('should attach and detach files', async () => {
+        let saves = 0;
+        const doc = { attachment: null, save: async () => saves++ };
+
+        const first = await files._attach(doc, 'attachment', 'first', { filename: 'first.txt' });
+        doc.attachment.should.be.exactly(first._id);
+        saves.should.be.exactly(1);
+
+        // Replacing it removes the old file
+        const second = await files._attach(doc, 'attachment', 'second', { filename: 'second.txt' });
+        doc.attachment.should.be.exactly(second._id);
+        should(await files._retrieve(first._id)).be.exactly(null);
+
+        (await files._detach(doc, 'attachment')).should.be.exactly(true);
+        should(doc.attachment).be.exactly(null);
+        should(await files._retrieve(second._id)).be.exactly(null);
+        (await files._detach(doc, 'attachment')).should.be.exactly(false);
+        saves.should.be.exactly(3);
+    });
+
+    it('should not leave files behind when the document fails to save', async () => {
+        const existing = await files._upload('existing', { filename: 'existing.txt' });
+        const doc = {
+            attachment: existing._id,
+            save: async () => { throw new Error('unit test: save failed'); }
+        };
+
+        await files._attach(doc, 'attachment', 'new', { filename: 'orphan.txt' }).should.be.rejectedWith('unit test: save failed');
+        doc.attachment.should.be.exactly(existing._id);
+
+        (await files._find({ filename: 'orphan.txt' })).length.should.be.exactly(0);
+        (await files._retrieve(existing._id)).should.be.ok();
+    });
+
+});
@@ -0,0 +1,166 @@
+"use strict";
+
+const should = require('should');
+
+describe('LockService', () => {
+
+    const OkanjoApp = require('okanjo-app');
+    const MongoService = require('../MongoService');
+    const LockService = require('../LockService');
+    const config = require('./app/config');
+
+    let app, locks, reports = [];
+
+    const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    before(async () => {
+        app = new OkanjoApp(config);
+        app.report = (...args) => reports.push(args);
+        app.dbs = new MongoService(app);
+
+        await app.connectToServices();
+
+        locks = new LockService(app, { schema: 'widgets', collection: 'unittest_locks' });
+        await app.dbs.getConnection('widgets').db.collection('unittest_locks').deleteMany({});
+    });
+
+    after(async () => {
+        await app.dbs.getConnection('widgets').db.collection('unittest_locks').drop();
+        await app.dbs.close();
+    });
+
+    it('should require a schema', () => {
+        (() => new LockService(app, {})).should.throw(/must have a schema/);
+    });
+
+    it('should fail when the schema is not connected', async () => {
+        await new LockService(app, { schema: 'nope' }).acquire('job').should.be.rejectedWith(/schema does not exist/);
+    });
+
+    it('should create a TTL index', async () => {
+        await locks.release(await locks.acquire('unit test: index'));
+
+        const indexes = await app.dbs.getConnection('widgets').db.collection('unittest_locks').indexes();
+        indexes.find((index) => index.name === 'expiresAt_1').expireAfterSeconds.should.be.exactly(0);
+    });
+
+    it('should only let one owner hold a lock', async () => {
+        const lock = await locks.acquire('unit test: job', 10000);
+        lock.name.should.be.exactly('unit test: job');
+        lock.owner.should.be.a.String();
+        lock.ttl.should.be.exactly(10000);
+        lock.expiresAt.should.be.instanceof(Date);
+
+        should(await locks.acquire('unit test: job')).be.exactly(null);
+        (await locks.acquire('unit test: other job')).should.be.ok();
+
+        // Others can't release it
+        (await locks.release({ name: 'unit test: job', owner: 'someone else' })).should.be.exactly(false);
+        should(await locks.acquire('unit test: job')).be.exactly(null);
+
+        (await locks.release(lock)).should.be.exactly(true);
+        (await locks.release(lock)).should.be.exactly(false);
+
+        const next = await locks.acquire('unit test: job');
+        next.owner.should.not.be.exactly(lock.owner);
+        await locks.release(next);
+    });
+
+    it('should renew held locks', async () => {
+        const lock = await locks.acquire('unit test: renew', 50);
+        const expiresAt = lock.expiresAt;
+
+        await delay(10);
+        (await locks.renew(lock)).should.be.exactly(true);
+        lock.expiresAt.getTime().should.be.greaterThan(expiresAt.getTime());
+
+        (await locks.renew(lock, 10000)).should.be.exactly(true);
+        await delay(60);
+        should(await locks.acquire('unit test: renew')).be.exactly(null);
+
+        await locks.release(lock);
+    });
+
+    it('should let expired locks be taken', async () => {
+        const lock = await locks.acquire('unit test: expired', 1);
+        await delay(10);
+
+        const next = await locks.acquire('unit test: expired');
+        next.should.be.ok();
+
+        // The old owner lost it
+        (await locks.renew(lock)).should.be.exactly(false);
+        (await locks.release(lock)).should.be.exactly(false);
+
+        await locks.release(next);
+    });
+
+    it('should run functions while holding the lock', async () => {
+        const result = await locks.withLock('unit test: with lock', async (lock) => {
+            lock.lost.should.be.exactly(false);
+            should(await locks.acquire('unit test: with lock')).be.exactly(null);
+            await locks.withLock('unit test: with lock', async () => {}).should.be.rejectedWith(/held by another owner/);
+            return 'done';
+        });
+        result.should.be.exactly('done');
+
+        // Released when done, even on failure
+        await locks.withLock('unit test: with lock', async () => {
+            throw new Error('unit test: failed');
+        }).should.be.rejectedWith('unit test: failed');
+
+        const lock = await locks.acquire('unit test: with lock');
+        lock.should.be.ok();
+        await locks.release(lock);
+    });
+
+    it('should renew the lock while the function runs', async () => {
+        reports = [];
+        await locks.withLock('unit test: auto renew', async (lock) => {
+            const expiresAt = lock.expiresAt.getTime();
+            await delay(100); // longer than the ttl
+
+            lock.expiresAt.getTime().should.be.greaterThan(expiresAt);
+            should(await locks.acquire('unit test: auto renew')).be.exactly(null);
+        }, { ttl: 60, renewInterval: 10 });
+
+        reports.length.should.be.exactly(0);
+    });
+
+    it('should report when the lock is lost', async () => {
+        reports = [];
+        await locks.withLock('unit test: lost', async (lock) => {
+            // Someone stole it
+            await app.dbs.getConnection('widgets').db.collection('unittest_locks').updateOne({ _id: 'unit test: lost' }, { $set: { owner: 'thief' } });
+            await delay(50);
+
+            lock.lost.should.be.exactly(true);
+        }, { renewInterval: 10 });
+
+        reports.length.should.be.exactly(1);
+        reports[0][0].should.be.exactly('LockService lost lock: unit test: lost');
+
+        // The thief still has it
+        should(await locks.acquire('unit test: lost')).be.exactly(null);
+        await locks.release({ name: 'unit test: lost', owner: 'thief' });
+    });
+
+    it('should ignore renewals that finish after the function', async () => {
+        reports = [];
+        let renewing = null;
+        const renew = locks.renew;
+
+        // Still renewing when the lock is released
+        locks.renew = () => renewing = delay(30).then(() => false);
+        try {
+            await locks.withLock('unit test: late renew', () => delay(15), { renewInterval: 10 });
+            await renewing;
+        } finally {
+            locks.renew = renew;
+        }
+
+        reports.length.should.be.exactly(0);
+        should(await locks.acquire('unit test: late renew', 1000)).be.ok();
+    });
+
+});
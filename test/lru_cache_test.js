@@ -0,0 +1,64 @@
+"use strict";
+
+const should = require('should');
+
+describe('LruCache', () => {
+
+    const LruCache = require('../LruCache');
+
+    const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    it('should get, set and delete values', () => {
+        const cache = new LruCache();
+        cache.options.should.deepEqual({ maxSize: 1000, ttl: 60000 });
+
+        should(cache.get('a')).be.exactly(undefined);
+        cache.set('a', { name: 'a' });
+        cache.get('a').should.deepEqual({ name: 'a' });
+        cache.size.should.be.exactly(1);
+
+        cache.delete('a').should.be.exactly(true);
+        cache.delete('a').should.be.exactly(false);
+        should(cache.get('a')).be.exactly(undefined);
+
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.clear();
+        cache.size.should.be.exactly(0);
+    });
+
+    it('should drop the least recently used values when full', () => {
+        const cache = new LruCache({ maxSize: 2 });
+
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a').should.be.exactly(1); // a is now more recent than b
+        cache.set('c', 3);
+
+        cache.size.should.be.exactly(2);
+        should(cache.get('b')).be.exactly(undefined);
+        cache.get('a').should.be.exactly(1);
+        cache.get('c').should.be.exactly(3);
+
+        // Replacing a value does not grow the cache
+        cache.set('c', 4);
+        cache.size.should.be.exactly(2);
+        cache.get('c').should.be.exactly(4);
+    });
+
+    it('should expire values', async () => {
+        const cache = new LruCache({ ttl: 10 });
+        cache.set('a', 1);
+        cache.get('a').should.be.exactly(1);
+
+        await delay(20);
+        should(cache.get('a')).be.exactly(undefined);
+        cache.size.should.be.exactly(0);
+
+        const forever = new LruCache({ ttl: 0 });
+        forever.set('a', 1);
+        await delay(20);
+        forever.get('a').should.be.exactly(1);
+    });
+
+});
@@ -0,0 +1,218 @@
+"use strict";
+
+const should = require('should');
+const Path = require('path');
+const EventEmitter = require('events').EventEmitter;
+const mongoose = require('mongoose');
+const ObjectId = mongoose.Types.ObjectId;
+
+describe('MemoryModel', () => {
+
+    const OkanjoApp = require('okanjo-app');
+    const MongoService = require('../MongoService');
+    const CrudService = require('../CrudService');
+    const MemoryModel = require('../MemoryModel');
+    const MemoryQuery = require('../MemoryQuery');
+    const LruCache = require('../LruCache');
+
+    let app, service, Doodad;
+
+    class FauxService extends CrudService {
+        constructor(app, model, dbs) {
+            super(app, model, dbs);
+            this._modifiableKeys = ['name'];
+        }
+    }
+
+    before(() => {
+        app = new OkanjoApp({});
+        app.report = () => {}; // keep expected failures quiet
+        Doodad = MemoryModel.loadSchema(Path.join(__dirname, 'app', 'schema', 'widgets.js'), app).Doodad;
+        service = new FauxService(app, Doodad, new MongoService(app, { schemas: [] }));
+    });
+
+    after(async () => {
+        await Doodad.deleteMany({});
+    });
+
+    describe('models', () => {
+
+        it('should be built from schema files', () => {
+            Doodad.modelName.should.be.exactly('doodad');
+            Doodad.collection.collectionName.should.be.exactly('doodads');
+            Doodad.db.models.doodad.should.be.exactly(Doodad);
+            Doodad._uniqueIndexes.should.deepEqual([{ name: 'key_1', fields: ['key'], sparse: false }]);
+        });
+
+        it('should apply defaults and cast values on save', async () => {
+            const owner = new ObjectId();
+            const doc = new Doodad({ name: 'unit test: defaults', key: 'memory-defaults', owner: owner.toString() });
+
+            doc.isNew.should.be.exactly(true);
+            doc._id.should.be.instanceof(ObjectId);
+            doc.created.should.be.instanceof(Date);
+            should(doc.updated).be.exactly(null);
+
+            await doc.save();
+            doc.isNew.should.be.exactly(false);
+            doc.owner.should.be.instanceof(ObjectId);
+            doc.owner.equals(owner).should.be.exactly(true);
+            new MongoService(app, { schemas: [] }).isModel(doc).should.be.exactly(true);
+        });
+
+        it('should support models without a schema', async () => {
+            const Gadget = MemoryModel.define('gadget', null, { unique: [['a', 'b']] });
+            Gadget.collection.collectionName.should.be.exactly('gadgets');
+
+            await Gadget.create([{ a: 1, b: 1 }, { a: 1, b: 2 }]);
+            await Gadget.create({ a: 1, b: 2 }).should.be.rejectedWith({ code: 11000, keyValue: { a: 1, b: 2 } });
+        });
+
+        it('should not save removed documents', async () => {
+            const doc = await Doodad.create({ key: 'memory-removed' });
+            await doc.remove();
+            await doc.save().should.be.rejectedWith(mongoose.Error.DocumentNotFoundError);
+        });
+
+    });
+
+    describe('CrudService', () => {
+
+        let docs;
+
+        before(async () => {
+            await Doodad.deleteMany({});
+            docs = [];
+            for (let i = 0; i < 5; i++) {
+                docs.push(await service._create({ name: 'unit test: page ' + i, key: 'memory-page-' + i, status: i === 4 ? 'dead' : 'active' }));
+            }
+        });
+
+        it('should fail with a duplicate key error on unique collisions', async () => {
+            const err = await service._create({ key: 'memory-page-0' }).should.be.rejected();
+            err.code.should.be.exactly(11000);
+            err.keyValue.should.deepEqual({ key: 'memory-page-0' });
+        });
+
+        it('should retry creating on collisions', async () => {
+            let attempts = 0;
+            const doc = await service._createWithRetry({}, (data, attempt) => {
+                attempts++;
+                return { name: 'unit test: retry', key: attempt < 2 ? 'memory-page-0' : 'memory-retry', status: 'active' };
+            });
+            attempts.should.be.exactly(3);
+            doc.key.should.be.exactly('memory-retry');
+            await doc.remove();
+        });
+
+        it('should give up after too many collisions', async () => {
+            const err = await service._createWithRetry({}, () => ({ key: 'memory-page-0' })).should.be.rejected();
+            err.code.should.be.exactly(11000);
+        });
+
+        it('should retrieve and conceal dead documents', async () => {
+            (await service._retrieve(docs[0]._id)).name.should.be.exactly('unit test: page 0');
+            should(await service._retrieve(docs[4]._id)).be.exactly(null);
+            should(await service._retrieve('nope')).be.exactly(null);
+            await service._retrieve(docs[0]._id, { readFrom: 'nope' }).should.be.rejectedWith(/readFrom/);
+
+            (await service._find({})).length.should.be.exactly(4);
+            (await service._find({ status: 'dead' })).length.should.be.exactly(0);
+            (await service._find({ status: { $in: ['active', 'dead'] } })).length.should.be.exactly(4);
+            (await service._find({ status: 'dead' }, { conceal: false })).length.should.be.exactly(1);
+            (await service._count({})).should.be.exactly(4);
+        });
+
+        it('should paginate, sort and select', async () => {
+            const page = await service._find({}, { skip: 1, take: 2, sort: { name: -1 }, fields: 'name' });
+            page.map((doc) => doc.name).should.deepEqual(['unit test: page 2', 'unit test: page 1']);
+            should(page[0].key).be.exactly(undefined);
+            page[0]._id.should.be.instanceof(ObjectId);
+
+            (await service._count({}, { skip: 3 })).should.be.exactly(1);
+            (await service._find({}, { sort: '-key', take: 1 }))[0].key.should.be.exactly('memory-page-3');
+        });
+
+        it('should update and delete', async () => {
+            const [doc] = await service._find({ key: 'memory-page-3' }, { fields: 'name' });
+            const updated = await service._update(doc, { name: 'unit test: updated', key: 'ignored' });
+            updated.updated.should.be.instanceof(Date);
+
+            const stored = await Doodad.findOne({ _id: doc._id });
+            stored.name.should.be.exactly('unit test: updated');
+            stored.key.should.be.exactly('memory-page-3');
+
+            await service._delete(stored);
+            should(await service._retrieve(doc._id)).be.exactly(null);
+
+            await service._deletePermanently(stored);
+            (await Doodad.countDocuments({ _id: doc._id })).should.be.exactly(0);
+        });
+
+        it('should invalidate cached docs again when a transaction session ends', async () => {
+            const session = Object.assign(new EventEmitter(), { inTransaction: () => true });
+            service._cache = new LruCache();
+            try {
+                const doc = await service._retrieve(docs[1]._id);
+                await service._update(doc, { name: 'unit test: in transaction' }, { session });
+                service._cache.size.should.be.exactly(0);
+
+                // Read before the commit, so it's cached again
+                await service._retrieve(docs[1]._id);
+                service._cache.size.should.be.exactly(1);
+
+                session.emit('ended', session);
+                service._cache.size.should.be.exactly(0);
+            } finally {
+                service._cache = null;
+            }
+        });
+
+        it('should work with callbacks', (done) => {
+            service._find({ key: 'memory-page-0' }, (err, found) => {
+                should(err).not.be.ok();
+                found.length.should.be.exactly(1);
+                done();
+            });
+        });
+
+    });
+
+    describe('MemoryQuery.matches', () => {
+
+        const id = new ObjectId();
+        const doc = {
+            _id: id,
+            name: 'doodad',
+            count: 5,
+            tags: ['a', 'b'],
+            created: new Date(1000),
+            nested: { value: 'x' },
+            items: [{ sku: 'a', qty: 1 }, { sku: 'b', qty: 3 }]
+        };
+
+        it('should match values and operators', () => {
+            MemoryQuery.matches(doc, { _id: new ObjectId(id.toString()) }).should.be.exactly(true);
+            MemoryQuery.matches(doc, { name: /^doo/, 'nested.value': 'x' }).should.be.exactly(true);
+            MemoryQuery.matches(doc, { count: { $gt: 4, $lte: 5 } }).should.be.exactly(true);
+            MemoryQuery.matches(doc, { count: { $gt: '4' } }).should.be.exactly(false);
+            MemoryQuery.matches(doc, { created: { $lt: new Date(2000) } }).should.be.exactly(true);
+            MemoryQuery.matches(doc, { tags: 'a' }).should.be.exactly(true);
+            MemoryQuery.matches(doc, { tags: { $all: ['a', 'b'], $size: 2 } }).should.be.exactly(true);
+            MemoryQuery.matches(doc, { tags: { $nin: ['c'] }, missing: { $exists: false } }).should.be.exactly(true);
+            MemoryQuery.matches(doc, { missing: null, name: { $ne: null } }).should.be.exactly(true);
+            MemoryQuery.matches(doc, { name: { $regex: 'DOO', $options: 'i' } }).should.be.exactly(true);
+            MemoryQuery.matches(doc, { name: { $not: { $eq: 'doodad' } } }).should.be.exactly(false);
+            MemoryQuery.matches(doc, { 'items.sku': 'b', items: { $elemMatch: { sku: 'b', qty: { $gt: 2 } } } }).should.be.exactly(true);
+            MemoryQuery.matches(doc, { $or: [{ count: 1 }, { count: 5 }], $nor: [{ name: 'nope' }] }).should.be.exactly(true);
+            MemoryQuery.matches(doc, { $and: [{ count: 5 }, { name: 'nope' }] }).should.be.exactly(false);
+        });
+
+        it('should throw on unsupported operators', () => {
+            (() => MemoryQuery.matches(doc, { $where: 'true' })).should.throw(/does not support/);
+            (() => MemoryQuery.matches(doc, { name: { $text: 'x' } })).should.throw(/does not support/);
+        });
+
+    });
+
+});